@@ -16,6 +16,73 @@ function loadScript(src) {
     });
 }
 
+// Save a Blob through a temporary download link
+function downloadBlob(blob, filename) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(()=>{ URL.revokeObjectURL(a.href); a.remove(); }, 1000);
+}
+
+// Open a file picker; resolves with the chosen File, or an array of Files with
+// `multiple` (never settles if the picker is dismissed)
+function pickFile(accept, { multiple = false } = {}) {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.multiple = multiple;
+        input.addEventListener('change', ()=>{
+            if (!input.files || !input.files.length) return;
+            resolve(multiple ? Array.from(input.files) : input.files[0]);
+        }, { once: true });
+        input.click();
+    });
+}
+
+// Keyboard shortcuts stay out of the way while the user is typing in a field
+function isTypingTarget(el) {
+    const tag = el && el.tagName ? el.tagName.toLowerCase() : '';
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || !!(el && el.isContentEditable);
+}
+
+// Drag-and-drop anywhere on the page. Modules register which files they
+// take; each dropped file goes to the first handler (in registration order)
+// that accepts it, so a file never lands in two places.
+const FileDrop = (function(){
+    const handlers = [];           // { accepts(file), handle(files) }
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+
+    function register(accepts, handle){
+        handlers.push({ accepts, handle });
+    }
+
+    window.addEventListener('dragover', (e)=>{
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        document.body.classList.add('drop-target');
+    });
+    window.addEventListener('dragleave', (e)=>{ if (!e.relatedTarget) document.body.classList.remove('drop-target'); });
+    window.addEventListener('drop', (e)=>{
+        document.body.classList.remove('drop-target');
+        if (!hasFiles(e)) return;
+        e.preventDefault();   // never navigate away to a dropped file
+        const batches = handlers.map(() => []);
+        Array.from(e.dataTransfer.files || []).forEach(file => {
+            const i = handlers.findIndex(h => h.accepts(file));
+            if (i >= 0) batches[i].push(file);
+        });
+        batches.forEach((files, i) => {
+            if (!files.length) return;
+            try{ handlers[i].handle(files); }catch(err){ console.warn('Dropped files could not be used:', err && err.message ? err.message : err); }
+        });
+    });
+
+    return { register };
+})();
+
 function isMobileDevice(){
     try{
         const ua = navigator.userAgent || '';
@@ -77,29 +144,34 @@ async function initMediaPipeHands() {
     const mobile = isMobileDevice();
     const modelComplexity = mobile ? 0 : 1;
     hands.setOptions({
-        maxNumHands: 1,
+        maxNumHands: CONFIG.maxHands,
         modelComplexity: modelComplexity,
         minDetectionConfidence: mobile ? 0.45 : 0.5,
         minTrackingConfidence: mobile ? 0.4 : 0.5
     });
-    hands.onResults(onHandsResults);
+    hands.onResults(onLiveHandsResults);
     if (loadingEl) loadingEl.textContent = 'Hand model loaded.';
     return hands;
 }
 
 // Warm up MediaPipe early on page load so gestures switch faster later.
 // This does not request the camera — only loads assets and constructs the graph.
+// Skipped entirely when no hand model is ever needed (pointer-only input,
+// a recorded session replay or a sync follower), which is only known once the config overrides
+// have loaded.
 try{
     if (document.readyState === 'complete' || document.readyState === 'interactive'){
         // Defer but start warming immediately
-        setTimeout(()=>{
+        setTimeout(()=>configReady.then(()=>{
+            if (window.__skipCamera) return;
             initMediaPipeHands().then(()=>console.log('MediaPipe Hands warmed')).catch(err=>console.warn('Warm-up failed', err));
-        }, 200);
+        }), 200);
     } else {
         window.addEventListener('DOMContentLoaded', ()=>{
-            setTimeout(()=>{
+            setTimeout(()=>configReady.then(()=>{
+                if (window.__skipCamera) return;
                 initMediaPipeHands().then(()=>console.log('MediaPipe Hands warmed on DOMContentLoaded')).catch(err=>console.warn('Warm-up failed', err));
-            }, 200);
+            }), 200);
         });
     }
 }catch(e){ /* ignore warm-up errors */ }
@@ -136,15 +208,289 @@ const CONFIG = {
     spiralSize: 0.12,
     spiralColor: 0xfff2cc,     // Bright cream/gold
     spiralTurns: 5,            // Wraps around 5 times
-    spiralSpeed: 0.8           // Ascending speed
+    spiralSpeed: 0.8,          // Ascending speed
+
+    // Music-reactive visuals (AudioReactive): 0 = off, 1 = default, 2 = strong
+    audioReactivity: 1,
+    crossfadeSeconds: 4,       // playlist crossfade between tracks (0 = cut)
+
+    // Memory gallery manifest (see Gallery); '' uses only the page's own video
+    memoriesUrl: 'memories.json',
+    ornamentSize: 0.5,         // world units per photo ornament on the tree (see Ornaments)
+
+    // Snowfall (see Snowfall): hand position is the wind
+    snowCount: 1500,           // 0 = no snow
+    snowSize: 0.18,
+    snowSpeed: 0.8,            // fall speed multiplier
+    snowWind: 1,               // how strongly the hand blows the flakes (0 = no wind)
+
+    // String lights on the tree (see Lights): 'off' | 'chase' | 'twinkle' | 'alternate' | 'rainbow' | 'music'
+    lightsPattern: 'twinkle',
+    lightsSpeed: 1,
+
+    // Light painting (see LightPainting): point the index finger to draw, a fist clears
+    paintColor: 0x9fe8ff,
+    paintSize: 0.14,
+    paintFadeSeconds: 12,      // trails fade out over this long; 0 = keep them until cleared
+
+    // WebM export (see VideoRecorder)
+    recordHeight: 720,         // output height in px; 0 = the canvas's own size
+    recordMaxSeconds: 60,      // recordings stop on their own after this long
+
+    // Input: 'auto' = hand tracking + mouse/touch/keyboard, 'hands' = hand tracking only,
+    // 'pointer' = mouse/touch/keyboard only (never requests the camera)
+    inputMode: 'auto',
+    cameraStartTimeout: 10000, // ms to wait for the camera to start before falling back to pointer input
+
+    // Hand tracking: up to two hands, so two people (or both hands) can interact together
+    maxHands: 2,
+    twoHandZoomRange: [0.6, 2.5],   // min/max camera zoom from spreading both hands (TREE)
+    twoHandScatterRange: [0.6, 2.5],// min/max scatter radius multiplier from spreading both hands (SCATTER)
+
+    // Gesture classification (see GestureClassifier)
+    gestureHoldMs: 180,        // a new OPEN/CLOSED reading must persist this long before the mode changes
+    pinchHoldMs: 90,           // pinches are short, so they commit faster
+    burstMaxMs: 250,           // fist -> open faster than this launches fireworks (see Fireworks)
+
+    // Hand axes (see HandAxes): height lifts the spiral band, distance zooms the camera
+    handDeadZone: 0.1,         // fraction of each -1..1 axis around rest that is ignored
+    handSmoothing: 0.12,       // seconds; time constant of the hand axis smoothing
+    handDepthReference: 0.16,  // palm length (fraction of the image) that counts as rest distance
+    handDepthZoom: 1.5,        // camera zoom factor with the hand fully forward (1 / this fully back)
+    handSpiralLift: 1,         // world units the spiral band rises with the hand fully up
+
+    // Camera (see CameraRig): 'static' | 'orbit' | 'hand' | 'cinematic'
+    cameraMode: 'static',
+    handCursor: true,          // index-finger 3D cursor with hover / pinch-to-select (see Picker)
+
+    // Multi-screen sync (see Sync): one leader page drives follower pages
+    syncRole: 'off',           // 'off' | 'leader' | 'follower'
+    syncRoom: 'xmas-tree',     // pages only sync with others in the same room
+    syncUrl: '',               // WebSocket relay for other devices, e.g. 'ws://192.168.1.20:8787' (see relay-server.js); '' = same-machine tabs only
+    syncToken: '',             // the relay's token (printed when it starts, or its RELAY_TOKEN)
+
+    // Rendering quality: 'auto' lets QualityGovernor step through the tiers from the
+    // measured frame rate; 'low' | 'medium' | 'high' | 'ultra' pins a tier
+    qualityTier: 'auto',
+    showDebug: false           // FPS / quality tier / hand latency readout (toggle with D)
+};
+
+/**
+ * CONFIG OVERRIDES
+ */
+// CONFIG can be overridden per deployment from `config.json` next to
+// index.html (or the file named by `?config=`), then per link from URL
+// parameters using the same key names, e.g. `?particleCount=12000&color=%2380d8ff`.
+// Only keys listed here are accepted; bad values are reported and the
+// default is kept.
+const CONFIG_SCHEMA = {
+    color:                  { type: 'color' },
+    starColor:              { type: 'color' },
+    particleCount:          { type: 'int', min: 100, max: 250000 },
+    particleSize:           { type: 'number', min: 0.005, max: 1 },
+    treeHeight:             { type: 'number', min: 0.5, max: 40 },
+    treeRadius:             { type: 'number', min: 0.1, max: 20 },
+    scatterRadius:          { type: 'number', min: 0.5, max: 40 },
+    lerpSpeed:              { type: 'number', min: 0.001, max: 1 },
+    bloomStrength:          { type: 'number', min: 0, max: 5 },
+    bloomRadius:            { type: 'number', min: 0, max: 2 },
+    bloomThreshold:         { type: 'number', min: 0, max: 1 },
+    videoDimFactor:         { type: 'number', min: 0, max: 1 },
+    videoDimLerp:           { type: 'number', min: 0.001, max: 1 },
+    videoDisplayOpacity:    { type: 'number', min: 0, max: 1 },
+    videoParticleDimFactor: { type: 'number', min: 0, max: 1 },
+    videoParticleLerp:      { type: 'number', min: 0.001, max: 1 },
+    spiralCount:            { type: 'int', min: 0, max: 20000 },
+    spiralSize:             { type: 'number', min: 0.005, max: 1 },
+    spiralColor:            { type: 'color' },
+    spiralTurns:            { type: 'number', min: 0, max: 40 },
+    spiralSpeed:            { type: 'number', min: 0, max: 10 },
+    audioReactivity:        { type: 'number', min: 0, max: 2 },
+    crossfadeSeconds:       { type: 'number', min: 0, max: 15 },
+    memoriesUrl:            { type: 'string' },
+    ornamentSize:           { type: 'number', min: 0.1, max: 2 },
+    snowCount:              { type: 'int', min: 0, max: 20000 },
+    snowSize:               { type: 'number', min: 0.01, max: 1 },
+    snowSpeed:              { type: 'number', min: 0, max: 5 },
+    snowWind:               { type: 'number', min: 0, max: 5 },
+    lightsPattern:          { type: 'enum', values: ['off', 'chase', 'twinkle', 'alternate', 'rainbow', 'music'] },
+    lightsSpeed:            { type: 'number', min: 0, max: 5 },
+    paintColor:             { type: 'color' },
+    paintSize:              { type: 'number', min: 0.02, max: 1 },
+    paintFadeSeconds:       { type: 'number', min: 0, max: 600 },
+    recordHeight:           { type: 'int', min: 0, max: 2160 },
+    recordMaxSeconds:       { type: 'number', min: 1, max: 600 },
+    inputMode:              { type: 'enum', values: ['auto', 'hands', 'pointer'] },
+    cameraStartTimeout:     { type: 'int', min: 1000, max: 120000 },
+    maxHands:               { type: 'int', min: 1, max: 2 },
+    twoHandZoomRange:       { type: 'range', min: 0.1, max: 10 },
+    twoHandScatterRange:    { type: 'range', min: 0.1, max: 10 },
+    gestureHoldMs:          { type: 'int', min: 0, max: 2000 },
+    pinchHoldMs:            { type: 'int', min: 0, max: 2000 },
+    burstMaxMs:             { type: 'int', min: 0, max: 2000 },
+    handDeadZone:           { type: 'number', min: 0, max: 0.9 },
+    handSmoothing:          { type: 'number', min: 0, max: 2 },
+    handDepthReference:     { type: 'number', min: 0.02, max: 1 },
+    handDepthZoom:          { type: 'number', min: 1, max: 4 },
+    handSpiralLift:         { type: 'number', min: 0, max: 5 },
+    cameraMode:             { type: 'enum', values: ['static', 'orbit', 'hand', 'cinematic'] },
+    handCursor:             { type: 'bool' },
+    syncRole:               { type: 'enum', values: ['off', 'leader', 'follower'] },
+    syncRoom:               { type: 'string' },
+    syncUrl:                { type: 'string' },
+    syncToken:              { type: 'string' },
+    qualityTier:            { type: 'enum', values: ['auto', 'low', 'medium', 'high', 'ultra'] },
+    showDebug:              { type: 'bool' }
 };
+// Short URL names: `?input=`, `?quality=`, `?debug` (kept from before the loader existed) and `?sync=`
+const CONFIG_ALIASES = { input: 'inputMode', quality: 'qualityTier', debug: 'showDebug', sync: 'syncRole' };
+
+// Convert a raw value (JSON value or URL string) for `key`; throws with a
+// readable message when it does not fit the schema
+function parseConfigValue(key, raw) {
+    const spec = CONFIG_SCHEMA[key];
+    const shown = typeof raw === 'string' ? `"${raw}"` : JSON.stringify(raw);
+    const inRange = (n) => (spec.min === undefined || n >= spec.min) && (spec.max === undefined || n <= spec.max);
+    const rangeText = ` from ${spec.min} to ${spec.max}`;
+    switch (spec.type) {
+        case 'int':
+        case 'number': {
+            const n = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+            const ok = Number.isFinite(n) && (spec.type === 'number' || Number.isInteger(n)) && inRange(n);
+            if (!ok) throw new Error(`expected ${spec.type === 'int' ? 'an integer' : 'a number'}${rangeText}, got ${shown}`);
+            return n;
+        }
+        case 'range': {
+            const parts = Array.isArray(raw) ? raw : String(raw).split(',');
+            const pair = parts.map(v => typeof v === 'number' ? v : Number(String(v).trim()));
+            if (pair.length !== 2 || !pair.every(n => Number.isFinite(n) && inRange(n)) || pair[0] > pair[1]) {
+                throw new Error(`expected "min,max" with both${rangeText} and min <= max, got ${shown}`);
+            }
+            return pair;
+        }
+        case 'color': {
+            if (typeof raw === 'number' && Number.isInteger(raw) && raw >= 0 && raw <= 0xffffff) return raw;
+            const m = typeof raw === 'string' && raw.trim().match(/^(?:#|0x)?([0-9a-f]{6}|[0-9a-f]{3})$/i);
+            if (!m) throw new Error(`expected a hex color like "#ff6fae", got ${shown}`);
+            const hex = m[1].length === 3 ? m[1].split('').map(c => c + c).join('') : m[1];
+            return parseInt(hex, 16);
+        }
+        case 'string':
+            if (typeof raw !== 'string') throw new Error(`expected text, got ${shown}`);
+            return raw.trim();
+        case 'enum':
+            if (!spec.values.includes(raw)) throw new Error(`expected one of ${spec.values.join(', ')}, got ${shown}`);
+            return raw;
+        case 'bool': {
+            if (typeof raw === 'boolean') return raw;
+            const v = String(raw).trim().toLowerCase();
+            // a bare `?debug` arrives as an empty string and means "on"
+            if (v === '' || v === '1' || v === 'true' || v === 'yes' || v === 'on') return true;
+            if (v === '0' || v === 'false' || v === 'no' || v === 'off') return false;
+            throw new Error(`expected true or false, got ${shown}`);
+        }
+        default:
+            throw new Error(`unsupported setting type "${spec.type}"`);
+    }
+}
+
+// Merge config.json, then URL parameters, into CONFIG. Resolves with the list
+// of problems found (already logged); never rejects.
+async function loadConfigOverrides() {
+    const errors = [];
+    let params;
+    try { params = new URLSearchParams(window.location.search); } catch (e) { params = new URLSearchParams(); }
+
+    const applyValue = (source, name, raw) => {
+        const key = CONFIG_ALIASES[name] || name;
+        if (!Object.prototype.hasOwnProperty.call(CONFIG_SCHEMA, key)) return false;
+        try {
+            CONFIG[key] = parseConfigValue(key, raw);
+        } catch (err) {
+            errors.push(`${source}: ${key} ${err.message} — keeping ${JSON.stringify(CONFIG[key])}`);
+        }
+        return true;
+    };
+
+    // 1. Per-deployment file. A missing default config.json is normal; a
+    //    missing file named explicitly with ?config= is an error.
+    const explicitFile = params.get('config');
+    const configUrl = explicitFile || 'config.json';
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const abortTimer = controller ? setTimeout(() => controller.abort(), 4000) : null;
+    try {
+        const res = await fetch(configUrl, { cache: 'no-cache', signal: controller ? controller.signal : undefined });
+        if (res.ok) {
+            let json;
+            try { json = await res.json(); } catch (e) { throw new Error('is not valid JSON (' + e.message + ')'); }
+            if (!json || typeof json !== 'object' || Array.isArray(json)) throw new Error('must contain a JSON object of settings');
+            Object.keys(json).forEach(name => {
+                if (!applyValue(configUrl, name, json[name])) errors.push(`${configUrl}: unknown setting "${name}" ignored`);
+            });
+        } else if (explicitFile) {
+            throw new Error(`could not be loaded (HTTP ${res.status})`);
+        }
+    } catch (err) {
+        // Opening index.html from disk makes fetch() fail outright; only report it when asked for a file
+        if (explicitFile || !(err instanceof TypeError || (err && err.name === 'AbortError'))) {
+            errors.push(`${configUrl} ${err && err.message ? err.message : err}`);
+        }
+    } finally {
+        if (abortTimer) clearTimeout(abortTimer);
+    }
+
+    // 2. Per-link URL parameters win over the file. Parameters that are not
+    //    settings (?text=, ?replay=, ?config=) are left to their own readers.
+    params.forEach((value, name) => { applyValue('URL', name, value); });
+
+    errors.forEach(msg => console.error('Config:', msg));
+    return errors;
+}
+
+// `?replay=<session.json>` feeds a recorded hand session through the result
+// handler instead of the camera (see SessionRecorder)
+const REPLAY_URL = (function(){
+    try{ return new URLSearchParams(window.location.search).get('replay') || ''; }catch(e){ return ''; }
+})();
+// Let the inline start handler in index.html know it must not request the camera
+// (sync followers are driven by the leader page). The URL alone decides it
+// right away, so a click on the start button while config.json is still
+// loading can't ask for the camera; the file's settings are added below.
+window.__skipCamera = (function(){
+    try{
+        const params = new URLSearchParams(window.location.search);
+        const param = (name, alias) => params.has(name) ? params.get(name) : params.get(alias);
+        return param('inputMode', 'input') === 'pointer' || !!REPLAY_URL || param('syncRole', 'sync') === 'follower';
+    }catch(e){ return !!REPLAY_URL; }
+})();
+
+const configReady = loadConfigOverrides();
+const configErrors = await configReady;
+// Show bad settings on the start screen so whoever set up the link notices
+if (configErrors.length) {
+    const el = document.getElementById('config-errors');
+    if (el) {
+        el.textContent = 'Settings ignored: ' + configErrors.join(' · ');
+        el.hidden = false;
+    }
+}
+// config.json can turn the camera off as well
+window.__skipCamera = CONFIG.inputMode === 'pointer' || !!REPLAY_URL || CONFIG.syncRole === 'follower';
 
 const STATE = {
-    mode: 'TREE',              // 'TREE' or 'SCATTER'
+    mode: 'TREE',              // formation the particles morph toward: 'TREE', 'SCATTER' or any registered formation
+    assembledFormation: 'TREE',// formation used when assembling (fist, double-tap, palms together)
     isPlayingVideo: false,
     handDetected: false,
+    pointerActive: false,      // mouse/touch drag or arrow keys are steering rotation
     handX: 0,                  // Normalized hand position -1 to 1
-    gesture: 'NONE',           // 'OPEN', 'CLOSED', 'PINCH'
+    handY: 0,                  // Normalized hand height -1 (bottom) to 1 (top)
+    handDepth: 0,              // -1 (far) to 1 (close to the camera), from the palm size
+    gesture: 'NONE',           // 'OPEN', 'CLOSED', 'POINT', 'PINCH', two hands: 'SPREAD', 'PALMS_TOGETHER'
+    hands: [],                 // tracked hands: { key, handedness, x, y, gesture, confidence }
+    cameraZoom: 1,             // 1 = default camera distance, >1 moves closer
+    scatterScale: 1,           // multiplier for the scatter cloud radius
+    gestureConfidence: 0,      // 0..1, how clearly the current gesture is being shown
     rotationTarget: 0,
     videoOpacity: 0
 };
@@ -155,7 +501,10 @@ let userInteracted = false;
 // DOM Elements
 const container = document.getElementById('canvas-container');
 const overlay = document.getElementById('overlay');
-const audioEl = document.getElementById('bg-music');
+// Two music decks so the playlist can crossfade; `audioEl` is whichever one is
+// currently in front (Playlist swaps it)
+const musicDecks = [document.getElementById('bg-music'), document.getElementById('bg-music-b')].filter(Boolean);
+let audioEl = musicDecks[0] || null;
 const videoEl = document.getElementById('video-source');
 const fileInput = document.getElementById('user-audio-input');
 const inputVideo = document.querySelector('.input_video');
@@ -179,10 +528,14 @@ function hideVideoLoading() {
 
 // Ready Manager: ensure UI only reveals when Video, Hands and Audio
 // are fully ready. It updates the indicator UI and finalizes when
-// all three subsystems report readiness.
+// all three subsystems report readiness. Hands may instead be marked
+// unavailable (camera blocked, pointer-only mode) so the experience
+// still starts with mouse/touch/keyboard input.
 const ReadyManager = (function(){
     let videoReady = false;
     let handsReady = false;
+    let handsUnavailable = false;
+    let handsNote = '';
     let audioReady = false;
     let finished = false;
 
@@ -196,8 +549,8 @@ const ReadyManager = (function(){
             const aText = document.getElementById('ready-audio-text');
             if (vIcon) vIcon.style.background = videoReady ? '#4caf50' : '#7a7a7a';
             if (vText) vText.textContent = videoReady ? 'Ready' : 'Waiting';
-            if (hIcon) hIcon.style.background = handsReady ? '#4caf50' : '#7a7a7a';
-            if (hText) hText.textContent = handsReady ? 'Ready' : 'Waiting';
+            if (hIcon) hIcon.style.background = handsReady ? '#4caf50' : (handsUnavailable ? '#ffb74d' : '#7a7a7a');
+            if (hText) hText.textContent = handsReady ? 'Ready' : (handsUnavailable ? handsNote : 'Waiting');
             if (aIcon) aIcon.style.background = audioReady ? '#4caf50' : '#7a7a7a';
             if (aText) aText.textContent = audioReady ? 'Ready' : 'Waiting';
         }catch(e){ /* ignore UI errors */ }
@@ -220,16 +573,23 @@ const ReadyManager = (function(){
 
     function check() {
         updateUI();
-        if (videoReady && handsReady && audioReady) finalize();
+        if (videoReady && (handsReady || handsUnavailable) && audioReady) finalize();
     }
 
     return {
         setVideoReady(){ videoReady = true; check(); },
         setHandsReady(){ handsReady = true; check(); },
+        // Start without hand tracking; `note` is shown next to the Hands indicator
+        setHandsUnavailable(note){
+            if (handsReady) return;
+            handsUnavailable = true;
+            handsNote = note || 'Mouse / touch';
+            check();
+        },
         setAudioReady(){ audioReady = true; check(); },
         isReady(){ return finished; },
         // expose for diagnostics
-        _state(){ return { videoReady, handsReady, audioReady, finished }; }
+        _state(){ return { videoReady, handsReady, handsUnavailable, audioReady, finished }; }
     };
 })();
 
@@ -367,9 +727,13 @@ window.addEventListener('load', async () => {
     }
 });
 
+// Set while the music is paused on purpose (pause button, end of a non-repeating
+// queue) so the resume helpers below don't fight the user
+let musicUserPaused = false;
+
 // Robust audio resume helper: try to resume AudioContext and play the audio element.
 async function tryResumeAudio() {
-    if (!audioEl) return;
+    if (!audioEl || musicUserPaused) return;
     try{
         const AC = window.AudioContext || window.webkitAudioContext;
         if (AC){ window.__ac = window.__ac || new AC(); try{ await window.__ac.resume(); }catch(e){} }
@@ -405,16 +769,22 @@ function setupAudioRouting(){
         if (!AC) return;
         window.__ac = window.__ac || new AC();
 
-        // Create a MediaElementSource only once (creating multiple sources for same element throws)
-        if (!window.__audioSource && typeof window.__ac.createMediaElementSource === 'function'){
+        // Both music decks feed one bus, so analysis sees the mix during crossfades
+        // (unity gain: fadeAudio() and Playlist already set the element volumes)
+        if (!window.__musicBus){
+            window.__musicBus = window.__ac.createGain();
+            window.__musicBus.gain.value = 1;
+            window.__musicBus.connect(window.__ac.destination);
+        }
+        // Create a MediaElementSource only once per element (creating multiple sources for same element throws)
+        musicDecks.forEach(el => {
+            if (el.__audioSource || typeof window.__ac.createMediaElementSource !== 'function') return;
             try{
-                window.__audioSource = window.__ac.createMediaElementSource(audioEl);
-                // optional gain node to control volume programmatically
-                const gain = window.__ac.createGain();
-                gain.gain.value = audioEl.volume || 0.6;
-                window.__audioSource.connect(gain).connect(window.__ac.destination);
+                el.__audioSource = window.__ac.createMediaElementSource(el);
+                el.__audioSource.connect(window.__musicBus);
             }catch(e){ console.warn('Could not create MediaElementSource:', e); }
-        }
+        });
+        window.__audioSource = musicDecks[0] && musicDecks[0].__audioSource;
         __audioRouted = true;
     }catch(e){ console.warn('setupAudioRouting failed', e); }
 }
@@ -424,7 +794,7 @@ function startAudioMonitor(){
     stopAudioMonitor();
     __audioMonitorAttempts = 0;
     __audioMonitorTimer = setInterval(async ()=>{
-        if (!audioEl) return stopAudioMonitor();
+        if (!audioEl || musicUserPaused) return stopAudioMonitor();
         if (document.visibilityState !== 'visible') return; // don't fight when hidden
         if (audioEl.paused){
             __audioMonitorAttempts++;
@@ -446,12 +816,136 @@ function stopAudioMonitor(){
 }
 
 // If audio is paused unexpectedly, attempt immediate resume a few times
-if (audioEl){
-    audioEl.addEventListener('pause', ()=>{
+// (the deck faded out by a crossfade is no longer `audioEl` and is left alone)
+musicDecks.forEach(el => {
+    el.addEventListener('pause', ()=>{
+        if (el !== audioEl || musicUserPaused) return;
         // schedule immediate attempts but avoid spamming
         startAudioMonitor();
     });
-}
+});
+
+// Audio analysis for music-reactive visuals: an AnalyserNode on the
+// music bus yields smoothed bass / mid / treble levels (0..1) and a
+// beat envelope from bass spectral-flux onsets. Works for whatever the
+// element plays, including files picked through `#user-audio-input`.
+const AudioReactive = (function(){
+    const BANDS = { bass: [30, 150], mid: [400, 2000], treble: [4000, 12000] };  // Hz
+    const FLUX_HISTORY = 43;        // ~0.7 s of frames for the onset threshold
+    const BEAT_SENSITIVITY = 1.5;   // flux must exceed mean + this many std deviations
+    const MIN_BEAT_GAP_MS = 250;    // caps detection at 240 BPM
+    const levels = { bass: 0, mid: 0, treble: 0, beat: 0 };
+    let analyser = null;
+    let spectrum = null;
+    let prevBass = null;            // previous bass bins, for spectral flux
+    const fluxHistory = [];
+    let lastBeatAt = 0;
+    let beatCount = 0;
+
+    // Cross-origin audio without CORS headers (and file:// pages in some
+    // browsers) would come out of a MediaElementSource as silence — and the
+    // element would stop reaching the speakers too. Leave those alone.
+    function canAnalyse(){
+        if (window.location.protocol === 'file:') return false;
+        const src = audioEl && (audioEl.currentSrc || audioEl.src);
+        if (!src || src.startsWith('blob:') || src.startsWith('data:')) return true;
+        try{ return new URL(src, window.location.href).origin === window.location.origin || !!audioEl.crossOrigin; }
+        catch(e){ return false; }
+    }
+
+    // Route the music through the analyser; call from a user gesture so the AudioContext can start
+    function attach(){
+        if (analyser) return true;
+        if (!canAnalyse()) { console.log('Audio-reactive visuals off: music source cannot be analysed here'); return false; }
+        setupAudioRouting();
+        if (!window.__musicBus || !window.__audioSource) return false;
+        try{
+            analyser = window.__ac.createAnalyser();
+            analyser.fftSize = 2048;         // ~23 Hz bins, enough to separate kick from bass line
+            analyser.smoothingTimeConstant = 0.5;
+            window.__musicBus.connect(analyser);
+            spectrum = new Uint8Array(analyser.frequencyBinCount);
+            if (window.__ac.state === 'suspended') window.__ac.resume().catch(()=>{});
+            return true;
+        }catch(e){
+            console.warn('Could not create AnalyserNode:', e);
+            analyser = null;
+            return false;
+        }
+    }
+
+    function binRange(band){
+        const hzPerBin = window.__ac.sampleRate / analyser.fftSize;
+        const lo = Math.max(1, Math.floor(band[0] / hzPerBin));
+        const hi = Math.min(spectrum.length - 1, Math.ceil(band[1] / hzPerBin));
+        return [lo, Math.max(lo, hi)];
+    }
+
+    function average(range){
+        let sum = 0;
+        for (let i = range[0]; i <= range[1]; i++) sum += spectrum[i];
+        return sum / ((range[1] - range[0] + 1) * 255);
+    }
+
+    // Fast attack, slower release so pulses read clearly without flicker
+    function follow(current, target, delta){
+        const rate = target > current ? 30 : 6;
+        return current + (target - current) * (1 - Math.exp(-rate * delta));
+    }
+
+    function detectBeat(range, now){
+        const n = range[1] - range[0] + 1;
+        if (!prevBass || prevBass.length !== n) prevBass = new Float32Array(n);
+        let flux = 0;
+        for (let i = 0; i < n; i++) {
+            const v = spectrum[range[0] + i] / 255;
+            if (v > prevBass[i]) flux += v - prevBass[i];
+            prevBass[i] = v;
+        }
+        fluxHistory.push(flux);
+        if (fluxHistory.length > FLUX_HISTORY) fluxHistory.shift();
+        if (fluxHistory.length < FLUX_HISTORY / 2) return false;
+        const mean = fluxHistory.reduce((a, b) => a + b, 0) / fluxHistory.length;
+        const variance = fluxHistory.reduce((a, b) => a + (b - mean) * (b - mean), 0) / fluxHistory.length;
+        const isBeat = flux > mean + BEAT_SENSITIVITY * Math.sqrt(variance) && flux > 0.02 * n && now - lastBeatAt > MIN_BEAT_GAP_MS;
+        if (isBeat) lastBeatAt = now;
+        return isBeat;
+    }
+
+    /**
+     * Advance the analysis by `delta` seconds and return the levels
+     * `{ bass, mid, treble, beat }`, all 0..1 (`beat` jumps to 1 on an onset
+     * and decays). Everything eases to 0 while the music is paused.
+     */
+    function update(delta){
+        const playing = analyser && audioEl && !audioEl.paused && musicVolume > 0.01;
+        if (playing) {
+            analyser.getByteFrequencyData(spectrum);
+            const bassRange = binRange(BANDS.bass);
+            levels.bass = follow(levels.bass, average(bassRange), delta);
+            levels.mid = follow(levels.mid, average(binRange(BANDS.mid)), delta);
+            levels.treble = follow(levels.treble, average(binRange(BANDS.treble)), delta);
+            if (detectBeat(bassRange, performance.now())) {
+                levels.beat = 1;
+                beatCount++;
+            }
+        } else {
+            levels.bass = follow(levels.bass, 0, delta);
+            levels.mid = follow(levels.mid, 0, delta);
+            levels.treble = follow(levels.treble, 0, delta);
+        }
+        levels.beat *= Math.exp(-delta * 5);
+        return levels;
+    }
+
+    return {
+        attach,
+        update,
+        levels: () => levels,
+        beats: () => beatCount,
+        isActive: () => !!analyser
+    };
+})();
 
 /**
  * THREE.JS SETUP
@@ -460,8 +954,9 @@ const scene = new THREE.Scene();
 // Add fog for depth
 scene.fog = new THREE.FogExp2(0x050505, 0.05);
 
+const CAMERA_DISTANCE = 10;
 const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 100);
-camera.position.set(0, 0, 10);
+camera.position.set(0, 0, CAMERA_DISTANCE);
 
 // Create a canvas and obtain a WebGL context preferring WebGL1 for portability.
 const _canvas = document.createElement('canvas');
@@ -503,8 +998,8 @@ const composer = new EffectComposer(renderer);
 composer.addPass(renderScene);
 composer.addPass(bloomPass);
 
-// store original bloom strength so we can dim it when video plays
-const ORIGINAL_BLOOM_STRENGTH = bloomPass.strength;
+// store original bloom strength so we can dim it when video plays (the settings panel updates it)
+let ORIGINAL_BLOOM_STRENGTH = bloomPass.strength;
 
 /**
  * PARTICLE SYSTEM
@@ -552,70 +1047,270 @@ function getStarTexture() {
     return new THREE.CanvasTexture(canvas);
 }
 
-const geometry = new THREE.BufferGeometry();
-const positions = [];
-const targetPositions = []; // Target state (Tree or Scatter)
+// Point sprites with the morph done on the GPU. Looks like PointsMaterial
+// (size attenuation, sprite map, vertex colors, fog) but each vertex blends
+// from `position` (where its morph started) to `aTarget` (where it is heading)
+// by `uBlend`. Scatter-scale and the scatter float are applied per side, and
+// with `spiralFlow` either side can be the upward-flowing spiral band instead
+// of a fixed point (`aPct` is the vertex's place along the band). With
+// `stringLights`, vertices tagged by `aBulb` take their color from the
+// current string-light pattern (see Lights) instead of their vertex color.
+const POINTS_VERTEX_SHADER = /* glsl */`
+uniform float size;
+uniform float scale;
+uniform float uBlend;
+uniform float uFromScale;
+uniform float uToScale;
+uniform float uFromNoise;
+uniform float uToNoise;
+uniform float uTime;
+attribute vec3 aTarget;
+
+#ifdef SPIRAL_FLOW
+uniform float uFromFlow;
+uniform float uToFlow;
+uniform float uSpiralPhase;
+uniform float uTreeHeight;
+uniform float uTreeRadius;
+uniform float uSpiralTurns;
+attribute float aPct;
+
+// Same band as spiralFlowPosition() in JavaScript
+vec3 spiralFlow(float pct){
+    float ty = pct * uTreeHeight - uTreeHeight * 0.5 + mod(uSpiralPhase, uTreeHeight);
+    if (ty > uTreeHeight * 0.5) ty -= uTreeHeight;
+    float normH = (ty + uTreeHeight * 0.5) / uTreeHeight;
+    float angle = normH * 6.283185307 * uSpiralTurns + uSpiralPhase;
+    float r = (1.0 - normH) * uTreeRadius * 1.15 + 0.2;
+    return vec3(cos(angle) * r, ty, sin(angle) * r);
+}
+#endif
+
+#ifdef STRING_LIGHTS
+uniform float uLightsPattern;   // index into Lights' PATTERNS; 0 = off
+uniform float uLightsTime;
+uniform vec4 uMusic;            // bass, mid, treble, beat
+uniform vec3 uChaseColor;
+uniform vec3 uBulbPalette[5];
+uniform vec3 uBulbRed;
+uniform vec3 uBulbGreen;
+attribute vec4 aBulb;           // strand + 1 (0 = not a bulb), place along the strand 0..1, random seed, parity
+
+vec3 bulbPaletteColor(float i){
+    if (i < 0.5) return uBulbPalette[0];
+    if (i < 1.5) return uBulbPalette[1];
+    if (i < 2.5) return uBulbPalette[2];
+    if (i < 3.5) return uBulbPalette[3];
+    return uBulbPalette[4];
+}
+
+// Same patterns Lights used to shade on the CPU (brightness above 1 feeds the bloom)
+vec3 bulbColor(){
+    float strand = aBulb.x - 1.0;
+    float pct = aBulb.y, seed = aBulb.z, t = uLightsTime;
+    if (uLightsPattern < 1.5) {                                      // chase: bright heads running up
+        float head = pow(1.0 - fract(pct * 6.0 - t * 0.8), 6.0);
+        return uChaseColor * (0.25 + head * 1.6);
+    }
+    if (uLightsPattern < 2.5) {                                      // twinkle
+        float tw = sin(t * (1.5 + seed * 3.0) + seed * 40.0);
+        return bulbPaletteColor(floor(seed * 5.0)) * (0.35 + max(0.0, tw) * 1.2);
+    }
+    if (uLightsPattern < 3.5) {                                      // alternate red / green
+        float flip = mod(floor(t * 1.2), 2.0);
+        return (mod(aBulb.w + flip, 2.0) > 0.5 ? uBulbRed : uBulbGreen) * 1.1;
+    }
+    if (uLightsPattern < 4.5) {                                      // rainbow (HSL s = 1, l = 0.55, to linear)
+        vec3 hue = clamp(abs(mod(fract(pct - t * 0.15) * 6.0 + vec3(0.0, 4.0, 2.0), 6.0) - 3.0) - 1.0, 0.0, 1.0);
+        vec3 srgb = 0.55 + 0.9 * (hue - 0.5);
+        vec3 linear = mix(srgb / 12.92, pow((srgb + 0.055) / 1.055, vec3(2.4)), step(0.04045, srgb));
+        return linear * 1.3;
+    }
+    // music: one band per strand (bass, mids, treble); beats flash them all
+    float band = mod(strand, 3.0);
+    float level = band < 0.5 ? uMusic.x : (band < 1.5 ? uMusic.y : uMusic.z);
+    return bulbPaletteColor(mod(strand, 5.0)) * (0.2 + level * 1.4 + uMusic.w * 0.8);
+}
+#endif
+
+#include <common>
+#include <color_pars_vertex>
+#include <fog_pars_vertex>
+
+void main() {
+    #include <color_vertex>
+    #ifdef STRING_LIGHTS
+        if (aBulb.x > 0.5 && uLightsPattern > 0.5) vColor.rgb = bulbColor();
+    #endif
+
+    vec3 fromPos = position * uFromScale;
+    vec3 toPos = aTarget * uToScale;
+    #ifdef SPIRAL_FLOW
+        if (uFromFlow > 0.5 || uToFlow > 0.5) {
+            vec3 flow = spiralFlow(aPct);
+            if (uFromFlow > 0.5) fromPos = flow;
+            if (uToFlow > 0.5) toPos = flow;
+        }
+    #endif
+    // Subtle floating noise in the scatter cloud
+    fromPos.y += sin(uTime + fromPos.x) * 0.005 * uFromNoise;
+    toPos.y += sin(uTime + toPos.x) * 0.005 * uToNoise;
+
+    vec3 transformed = mix(fromPos, toPos, uBlend);
+    vec4 mvPosition = modelViewMatrix * vec4(transformed, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = size * (scale / -mvPosition.z);
+
+    #include <fog_vertex>
+}
+`;
+
+const POINTS_FRAGMENT_SHADER = /* glsl */`
+uniform vec3 diffuse;
+uniform float opacity;
+uniform sampler2D map;
+
+#include <common>
+#include <color_pars_fragment>
+#include <fog_pars_fragment>
+
+void main() {
+    vec4 diffuseColor = vec4(diffuse, opacity);
+    diffuseColor *= texture2D(map, vec2(gl_PointCoord.x, 1.0 - gl_PointCoord.y));
+    #include <color_fragment>
+
+    gl_FragColor = diffuseColor;
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+    #include <fog_fragment>
+}
+`;
+
+// Every point material, so the screen-height dependent `scale` can be refreshed together
+const pointMaterials = [];
+
+function createPointsMaterial({ size, map, color = 0xffffff, opacity = 1, vertexColors = false, spiralFlow = false, stringLights = false }) {
+    const defines = {};
+    if (spiralFlow) defines.SPIRAL_FLOW = '';
+    if (stringLights) defines.STRING_LIGHTS = '';
+    const mat = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            size: { value: size },
+            scale: { value: 1 },
+            diffuse: { value: new THREE.Color(color) },
+            opacity: { value: opacity },
+            map: { value: null },
+            uBlend: { value: 1 },
+            uFromScale: { value: 1 },
+            uToScale: { value: 1 },
+            uFromNoise: { value: 0 },
+            uToNoise: { value: 0 },
+            uTime: { value: 0 },
+            uFromFlow: { value: 0 },
+            uToFlow: { value: 0 },
+            uSpiralPhase: { value: 0 },
+            uTreeHeight: { value: CONFIG.treeHeight },
+            uTreeRadius: { value: CONFIG.treeRadius },
+            uSpiralTurns: { value: CONFIG.spiralTurns },
+            uLightsPattern: { value: 0 },
+            uLightsTime: { value: 0 },
+            uMusic: { value: new THREE.Vector4() },
+            uChaseColor: { value: new THREE.Color() },
+            uBulbPalette: { value: [0, 1, 2, 3, 4].map(() => new THREE.Color()) },
+            uBulbRed: { value: new THREE.Color() },
+            uBulbGreen: { value: new THREE.Color() }
+        }]),
+        vertexShader: POINTS_VERTEX_SHADER,
+        fragmentShader: POINTS_FRAGMENT_SHADER,
+        defines,
+        vertexColors,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        transparent: true,
+        fog: true
+    });
+    // Textures can't go through UniformsUtils.merge (it clones them)
+    mat.uniforms.map.value = map;
+    pointMaterials.push(mat);
+    return mat;
+}
+
+// Match PointsMaterial's size attenuation for a render target `heightPx` pixels tall
+function setPointScale(heightPx) {
+    pointMaterials.forEach(m => { m.uniforms.scale.value = heightPx * 0.5; });
+}
+
+let geometry = new THREE.BufferGeometry();  // replaced by rebuildMainParticles()
+let mainParticleCount = CONFIG.particleCount; // particles actually drawn (QualityGovernor scales CONFIG.particleCount)
 const treePositions = [];   // Pre-calculated Tree coords
 const scatterPositions = [];// Pre-calculated Scatter coords
 const colors = [];
-const colorObj = new THREE.Color(CONFIG.color);
-const starColorObj = new THREE.Color(CONFIG.starColor);
+const starMask = [];        // 1 where a particle uses CONFIG.starColor
 
 // Initialize particles
 // Create a glowing spiral tree: particles are placed along a tight upward spiral
 // so the assembled tree looks like a continuous spiral of shimmering particles.
-for (let i = 0; i < CONFIG.particleCount; i++) {
-    // 1. Calculate Tree Shape (Cone)
-    const h = Math.random() * CONFIG.treeHeight - (CONFIG.treeHeight / 2);
-    const normH = (h + CONFIG.treeHeight/2) / CONFIG.treeHeight; // 0 to 1
-    const r = (1 - normH) * CONFIG.treeRadius;
-    const angle = Math.random() * Math.PI * 2;
-    const spiral = h * 2;
-
-    const tx = Math.cos(angle + spiral) * r;
-    const ty = h;
-    const tz = Math.sin(angle + spiral) * r;
-
-    treePositions.push(tx, ty, tz);
-
-    // 2. Calculate Scatter Shape (Sphere/Cloud)
-    const sr = CONFIG.scatterRadius * Math.cbrt(Math.random()); // Uniform sphere
-    const theta = Math.random() * 2 * Math.PI;
-    const phi = Math.acos(2 * Math.random() - 1);
-    const sx = sr * Math.sin(phi) * Math.cos(theta);
-    const sy = sr * Math.sin(phi) * Math.sin(theta);
-    const sz = sr * Math.cos(phi);
-
-    scatterPositions.push(sx, sy, sz);
-
-    // Initial State = Tree
-    positions.push(tx, ty, tz);
-    targetPositions.push(tx, ty, tz);
-
-    // Colors: mostly pink, some gold stars
-    if (Math.random() > 0.9) {
-        colors.push(starColorObj.r, starColorObj.g, starColorObj.b);
-    } else {
-        colors.push(colorObj.r, colorObj.g, colorObj.b);
+// Refills the arrays above for `mainParticleCount` particles.
+function generateMainParticles() {
+    treePositions.length = 0;
+    scatterPositions.length = 0;
+    colors.length = 0;
+    starMask.length = 0;
+    const colorObj = new THREE.Color(CONFIG.color);
+    const starColorObj = new THREE.Color(CONFIG.starColor);
+
+    for (let i = 0; i < mainParticleCount; i++) {
+        // 1. Calculate Tree Shape (Cone)
+        const h = Math.random() * CONFIG.treeHeight - (CONFIG.treeHeight / 2);
+        const normH = (h + CONFIG.treeHeight/2) / CONFIG.treeHeight; // 0 to 1
+        const r = (1 - normH) * CONFIG.treeRadius;
+        const angle = Math.random() * Math.PI * 2;
+        const spiral = h * 2;
+
+        const tx = Math.cos(angle + spiral) * r;
+        const ty = h;
+        const tz = Math.sin(angle + spiral) * r;
+
+        treePositions.push(tx, ty, tz);
+
+        // 2. Calculate Scatter Shape (Sphere/Cloud)
+        const sr = CONFIG.scatterRadius * Math.cbrt(Math.random()); // Uniform sphere
+        const theta = Math.random() * 2 * Math.PI;
+        const phi = Math.acos(2 * Math.random() - 1);
+        const sx = sr * Math.sin(phi) * Math.cos(theta);
+        const sy = sr * Math.sin(phi) * Math.sin(theta);
+        const sz = sr * Math.cos(phi);
+
+        scatterPositions.push(sx, sy, sz);
+
+        // Colors: mostly pink, some gold stars
+        if (Math.random() > 0.9) {
+            colors.push(starColorObj.r, starColorObj.g, starColorObj.b);
+            starMask.push(1);
+        } else {
+            colors.push(colorObj.r, colorObj.g, colorObj.b);
+            starMask.push(0);
+        }
     }
 }
+generateMainParticles();
 
-geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+// Initial State = Tree
+geometry.setAttribute('position', new THREE.Float32BufferAttribute(treePositions, 3));
+geometry.setAttribute('aTarget', new THREE.Float32BufferAttribute(treePositions, 3));
 geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
 
-const material = new THREE.PointsMaterial({
+const material = createPointsMaterial({
     size: CONFIG.particleSize,
     map: orbTexture,
     vertexColors: true,
-    blending: THREE.AdditiveBlending,
-    depthWrite: false,
-    transparent: true,
-    opacity: 0.8
+    opacity: 0.8,
+    stringLights: true
 });
 
 // store original particle material values to restore/lerp against
-const ORIGINAL_PARTICLE_OPACITY = material.opacity;
-const ORIGINAL_PARTICLE_SIZE = material.size;
+const ORIGINAL_PARTICLE_OPACITY = material.uniforms.opacity.value;
+let ORIGINAL_PARTICLE_SIZE = material.uniforms.size.value;
 
 const particleSystem = new THREE.Points(geometry, material);
 scene.add(particleSystem);
@@ -623,44 +1318,52 @@ scene.add(particleSystem);
 // (Removed enhanced glow/star/background to restore original rose-pink tree look)
 
 // --- SPIRAL SYSTEM (secondary band slightly outside the main tree) ---
-const spiralGeo = new THREE.BufferGeometry();
-const spiralPositions = [];
+let spiralGeo = new THREE.BufferGeometry();  // replaced by rebuildSpiralParticles()
 const spiralBaseTreeCoords = []; // store the base positions for upward flow
 const spiralScatterCoords = [];
-
-for (let i = 0; i < CONFIG.spiralCount; i++) {
-    const pct = i / CONFIG.spiralCount; // 0..1
-    const h = (pct * CONFIG.treeHeight) - (CONFIG.treeHeight / 2);
-    const r = (1 - pct) * CONFIG.treeRadius * 1.15 + 0.2; // slightly wider than tree
-    const angle = pct * Math.PI * 2 * CONFIG.spiralTurns;
-
-    const tx = Math.cos(angle) * r;
-    const ty = h;
-    const tz = Math.sin(angle) * r;
-
-    spiralBaseTreeCoords.push(tx, ty, tz);
-    spiralPositions.push(tx, ty, tz);
-
-    // simple scatter coords for spiral band when scattering
-    const sr = CONFIG.scatterRadius * Math.cbrt(Math.random());
-    const theta = Math.random() * Math.PI * 2;
-    const phi = Math.acos(2 * Math.random() - 1);
-    const sx = sr * Math.sin(phi) * Math.cos(theta);
-    const sy = sr * Math.sin(phi) * Math.sin(theta);
-    const sz = sr * Math.cos(phi);
-    spiralScatterCoords.push(sx, sy, sz);
+let spiralPct = new Float32Array(0); // 0..1 position of each particle along the band
+
+// Refills the spiral arrays for CONFIG.spiralCount particles
+function generateSpiralParticles() {
+    spiralBaseTreeCoords.length = 0;
+    spiralScatterCoords.length = 0;
+    spiralPct = new Float32Array(CONFIG.spiralCount);
+
+    for (let i = 0; i < CONFIG.spiralCount; i++) {
+        const pct = i / CONFIG.spiralCount; // 0..1
+        const h = (pct * CONFIG.treeHeight) - (CONFIG.treeHeight / 2);
+        const r = (1 - pct) * CONFIG.treeRadius * 1.15 + 0.2; // slightly wider than tree
+        const angle = pct * Math.PI * 2 * CONFIG.spiralTurns;
+
+        const tx = Math.cos(angle) * r;
+        const ty = h;
+        const tz = Math.sin(angle) * r;
+
+        spiralBaseTreeCoords.push(tx, ty, tz);
+        spiralPct[i] = pct;
+
+        // simple scatter coords for spiral band when scattering
+        const sr = CONFIG.scatterRadius * Math.cbrt(Math.random());
+        const theta = Math.random() * Math.PI * 2;
+        const phi = Math.acos(2 * Math.random() - 1);
+        const sx = sr * Math.sin(phi) * Math.cos(theta);
+        const sy = sr * Math.sin(phi) * Math.sin(theta);
+        const sz = sr * Math.cos(phi);
+        spiralScatterCoords.push(sx, sy, sz);
+    }
 }
+generateSpiralParticles();
 
-spiralGeo.setAttribute('position', new THREE.Float32BufferAttribute(spiralPositions, 3));
+spiralGeo.setAttribute('position', new THREE.Float32BufferAttribute(spiralBaseTreeCoords, 3));
+spiralGeo.setAttribute('aTarget', new THREE.Float32BufferAttribute(spiralBaseTreeCoords, 3));
+spiralGeo.setAttribute('aPct', new THREE.BufferAttribute(spiralPct, 1));
 
-const spiralMaterial = new THREE.PointsMaterial({
+const spiralMaterial = createPointsMaterial({
     size: CONFIG.spiralSize,
     color: CONFIG.spiralColor,
     map: orbTexture,
-    blending: THREE.AdditiveBlending,
-    depthWrite: false,
-    transparent: true,
-    opacity: 0.9
+    opacity: 0.9,
+    spiralFlow: true
 });
 
 const spiralSystem = new THREE.Points(spiralGeo, spiralMaterial);
@@ -699,171 +1402,2605 @@ for (let i = 0; i < STAR_PARTICLE_COUNT; i++) {
     starScatterPositions[i * 3 + 2] = sz;
 }
 
-const starMaterial = new THREE.PointsMaterial({
+starGeo.setAttribute('aTarget', new THREE.Float32BufferAttribute(starPositions, 3));
+
+const starMaterial = createPointsMaterial({
     size: CONFIG.particleSize * 1.8,
     map: getStarTexture(),
     color: CONFIG.starColor,
-    blending: THREE.AdditiveBlending,
-    depthWrite: false,
-    transparent: true,
     opacity: 1.0
 });
 const starPoints = new THREE.Points(starGeo, starMaterial);
 scene.add(starPoints);
-const ORIGINAL_STAR_SIZE = starMaterial.size;
+let ORIGINAL_STAR_SIZE = starMaterial.uniforms.size.value;
 
 /**
- * VIDEO PLANE
+ * FORMATIONS
  */
-const videoTexture = new THREE.VideoTexture(videoEl);
-videoTexture.minFilter = THREE.LinearFilter;
-videoTexture.magFilter = THREE.LinearFilter;
-videoTexture.generateMipmaps = false;
-// Try to use the maximum anisotropy available to keep the video crisp when scaled
-const maxAniso = (renderer.capabilities && typeof renderer.capabilities.getMaxAnisotropy === 'function') ? renderer.capabilities.getMaxAnisotropy() : (renderer.capabilities ? renderer.capabilities.maxAnisotropy || 0 : 0);
-if (maxAniso) videoTexture.anisotropy = maxAniso;
+// Registry of particle formations. Each formation builds target positions for
+// the main particles, the spiral band and the top star, and STATE.mode names
+// the formation everything morphs toward, so any two registered formations can
+// morph into each other. 'TREE' and 'SCATTER' are the original cone and sphere.
+//
+// A formation is `{ label, build(counts), cycle, order }`: `build` receives
+// `{ main, spiral, star }` particle counts and returns Float32Arrays of xyz
+// triples of the same sizes; `cycle: false` keeps it out of nextFormation()
+// and a numeric `order` moves it ahead of formations without one.
+const Formations = (function(){
+    const registry = new Map(); // name -> { label, build, cycle, cache }
+
+    function counts(){
+        return { main: mainParticleCount, spiral: CONFIG.spiralCount, star: STAR_PARTICLE_COUNT };
+    }
 
-const videoGeo = new THREE.PlaneGeometry(4, 2.25); // 16:9 aspect ratio
-const videoMat = new THREE.MeshBasicMaterial({ 
-    map: videoTexture, 
-    side: THREE.DoubleSide,
-    transparent: true,
-    opacity: 0,
-    depthWrite: false // do not write to depth so particles can be rendered on top
-});
-const videoPlane = new THREE.Mesh(videoGeo, videoMat);
-// Start the video plane slightly behind the particle system; bring forward when showing
-videoPlane.position.set(0, 0, -5);
-scene.add(videoPlane);
+    function register(name, def){
+        if (!name || typeof name !== 'string') throw new Error('Formation name must be a string');
+        if (!def || typeof def.build !== 'function') throw new Error('Formation "' + name + '" needs a build(counts) function');
+        const order = (typeof def.order === 'number') ? def.order : Infinity;
+        registry.set(name, { label: def.label || name, build: def.build, cycle: def.cycle !== false, order, cache: null });
+    }
 
-// Ensure render order so we can bring the video plane in front when needed
-videoPlane.renderOrder = 0;
-particleSystem.renderOrder = 1;
+    function get(name){
+        const entry = registry.get(name);
+        if (!entry) throw new Error('Unknown formation "' + name + '"');
+        if (!entry.cache) {
+            const c = counts();
+            const built = entry.build(c);
+            ['main', 'spiral', 'star'].forEach(part => {
+                if (!built || !built[part] || built[part].length !== c[part] * 3) {
+                    throw new Error('Formation "' + name + '" built a wrong-sized ' + part + ' array');
+                }
+            });
+            entry.cache = built;
+        }
+        return entry.cache;
+    }
 
-// When the video's metadata loads, resize the plane to match the native aspect
-videoEl.addEventListener('loadedmetadata', () => {
-    try {
-        const vw = videoEl.videoWidth || 16;
-        const vh = videoEl.videoHeight || 9;
-        const aspect = vw / vh;
-        // Choose a display height in world units for the plane (keeps visual size consistent)
-        const displayHeight = 3.5; // world units; tweakable
-        // Rebuild geometry to match native aspect ratio so pixels map correctly
-        videoPlane.geometry.dispose();
-        videoPlane.geometry = new THREE.PlaneGeometry(aspect * displayHeight, displayHeight);
-        // Ensure the material uses the updated texture and respects original colors
-        videoPlane.material.map = videoTexture;
-        videoPlane.material.needsUpdate = true;
-    } catch (err) {
-        console.warn('Could not resize video plane to native aspect:', err);
+    // Drop cached targets (all formations when no name is given), e.g. after counts change
+    function invalidate(name){
+        if (name) { const entry = registry.get(name); if (entry) entry.cache = null; return; }
+        registry.forEach(entry => { entry.cache = null; });
     }
-});
 
-/**
- * AUDIO HANDLING
- */
-let audioCtxAllowed = false;
+    return {
+        register,
+        get,
+        invalidate,
+        has(name){ return registry.has(name); },
+        unregister(name){ registry.delete(name); },
+        label(name){ const entry = registry.get(name); return entry ? entry.label : name; },
+        // Names by `order`, then registration order; `cycleOnly` skips formations excluded from cycling
+        list(cycleOnly){
+            return Array.from(registry.keys())
+                .filter(n => !cycleOnly || registry.get(n).cycle)
+                .sort((a, b) => {
+                    const oa = registry.get(a).order, ob = registry.get(b).order;
+                    return oa === ob ? 0 : (oa < ob ? -1 : 1);
+                });
+        }
+    };
+})();
 
-function fadeAudio(targetVolume) {
-    if (!audioEl) return;
-    // Simple manual lerp for volume
-    const current = audioEl.volume;
-    const diff = targetVolume - current;
-    if (Math.abs(diff) > 0.01) {
-        audioEl.volume += diff * 0.05;
-    } else {
-        audioEl.volume = targetVolume;
+// Helper for formation builders: `fn(i, count, out)` writes point i into `out`
+function fillFormation(count, fn){
+    const arr = new Float32Array(count * 3);
+    const v = new THREE.Vector3();
+    for (let i = 0; i < count; i++) {
+        v.set(0, 0, 0);
+        fn(i, count, v);
+        arr[i * 3] = v.x; arr[i * 3 + 1] = v.y; arr[i * 3 + 2] = v.z;
     }
+    return arr;
 }
 
-let started = false;
+// The assembled star shape, moved so its center sits at (x, y, z)
+function starFormationAt(x, y, z){
+    const arr = new Float32Array(starBasePositions);
+    for (let i = 0; i < arr.length; i += 3) {
+        arr[i] += x; arr[i + 1] += y - treeTopY; arr[i + 2] += z;
+    }
+    return arr;
+}
 
-async function handleOverlayClick() {
-    if (started) return;
-    started = true;
+function randomGaussian(){
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
 
-    // Keep the overlay visible until ReadyManager confirms both video
-    // and hand-tracking are ready. Provide subtle visual feedback only.
-    try{ overlay.style.opacity = '0.96'; }catch(e){}
+function randomOnSphere(out, radius){
+    const theta = Math.random() * Math.PI * 2;
+    const phi = Math.acos(2 * Math.random() - 1);
+    return out.set(radius * Math.sin(phi) * Math.cos(theta), radius * Math.cos(phi), radius * Math.sin(phi) * Math.sin(theta));
+}
 
-    // 解锁音频
-    audioCtxAllowed = true;
+// Original shapes: reuse the arrays computed above
+Formations.register('TREE', {
+    label: 'Tree',
+    order: 0,
+    build: () => ({ main: new Float32Array(treePositions), spiral: new Float32Array(spiralBaseTreeCoords), star: new Float32Array(starBasePositions) })
+});
+Formations.register('SCATTER', {
+    label: 'Scatter',
+    cycle: false,
+    build: () => ({ main: new Float32Array(scatterPositions), spiral: new Float32Array(spiralScatterCoords), star: new Float32Array(starScatterPositions) })
+});
 
-    // mark that the user interacted (click) so we can allow unmuted playback
-    userInteracted = true;
+Formations.register('SNOWMAN', {
+    label: 'Snowman',
+    build: (c) => {
+        // Three stacked balls, picked by surface area so density looks even
+        const balls = [{ y: -1.9, r: 1.2 }, { y: -0.3, r: 0.85 }, { y: 0.95, r: 0.6 }];
+        const areas = balls.map(b => b.r * b.r);
+        const total = areas.reduce((a, b) => a + b, 0);
+        const main = fillFormation(c.main, (i, n, v) => {
+            let pick = Math.random() * total, k = 0;
+            while (pick > areas[k] && k < balls.length - 1) { pick -= areas[k]; k++; }
+            randomOnSphere(v, balls[k].r * (0.9 + Math.random() * 0.1));
+            v.y += balls[k].y;
+        });
+        // Scarf: a wavy ring around the neck
+        const spiral = fillFormation(c.spiral, (i, n, v) => {
+            const a = (i / n) * Math.PI * 2;
+            v.set(Math.cos(a) * 0.72, 0.45 + Math.sin(a * 6) * 0.05, Math.sin(a) * 0.72);
+        });
+        return { main, spiral, star: starFormationAt(0, 1.75, 0) };
+    }
+});
 
-    // Do not auto-open file picker when using embedded background music.
+Formations.register('HEART', {
+    label: 'Heart',
+    build: (c) => {
+        const S = 0.16; // heart curve spans about 32 units wide before scaling
+        const heartPoint = (t, v) => v.set(
+            16 * Math.pow(Math.sin(t), 3) * S,
+            (13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)) * S + 0.3,
+            0);
+        const main = fillFormation(c.main, (i, n, v) => {
+            // Filled heart: pull outline points toward the center, thinner toward the edge
+            heartPoint(Math.random() * Math.PI * 2, v);
+            const k = Math.sqrt(Math.random());
+            v.x *= k; v.y = (v.y - 0.3) * k + 0.3;
+            v.z = (Math.random() - 0.5) * 1.2 * (1 - k * 0.8);
+        });
+        const spiral = fillFormation(c.spiral, (i, n, v) => {
+            heartPoint((i / n) * Math.PI * 2, v);
+            v.x *= 1.08; v.y = (v.y - 0.3) * 1.08 + 0.3;
+        });
+        return { main, spiral, star: starFormationAt(0, 1.65, 0) };
+    }
+});
 
-    const loadingEl = document.getElementById('loading');
-    if (loadingEl) {
-        loadingEl.style.display = 'block';
-        loadingEl.textContent = 'Initializing Neural Net & Graphics...';
+Formations.register('GIFT', {
+    label: 'Gift Box',
+    build: (c) => {
+        const W = 1.6, H = 1.4, CY = -1.0; // half extents; box centered at y = CY
+        const main = fillFormation(c.main, (i, n, v) => {
+            // Pick a face (all faces here have similar area), then a point on it
+            const face = Math.floor(Math.random() * 6);
+            const a = (Math.random() * 2 - 1), b = (Math.random() * 2 - 1);
+            if (face < 2) v.set(a * W, (face ? 1 : -1) * H, b * W);
+            else if (face < 4) v.set((face === 2 ? 1 : -1) * W, a * H, b * W);
+            else v.set(a * W, b * H, (face === 4 ? 1 : -1) * W);
+            v.y += CY;
+        });
+        // Ribbon: two bands wrapped around the box, crossing on top
+        const spiral = fillFormation(c.spiral, (i, n, v) => {
+            const half = i < n / 2;
+            const t = ((half ? i : i - n / 2) / (n / 2)) * 4; // 0..4 around the four sides
+            const side = Math.floor(t), f = t - side;
+            const e = 1.02; // sit just outside the faces
+            const rim = [[-1, 1], [1, 1], [1, -1], [-1, -1], [-1, 1]];
+            const u = THREE.MathUtils.lerp(rim[side][0], rim[side + 1][0], f);
+            const w = THREE.MathUtils.lerp(rim[side][1], rim[side + 1][1], f);
+            if (half) v.set(0, w * H * e + CY, u * W * e);
+            else v.set(u * W * e, w * H * e + CY, 0);
+        });
+        return { main, spiral, star: starFormationAt(0, CY + H + 0.35, 0) };
     }
+});
 
-        // ✅ Initialize MediaPipe Hands and start the camera loop
-        try {
-            await initMediaPipeHands();
-        } catch (err) {
-            console.error('Failed to initialize MediaPipe Hands:', err);
-            const loadingEl = document.getElementById('loading');
-            if (loadingEl) {
-                loadingEl.style.display = 'block';
-                loadingEl.textContent = 'Error loading hand model: ' + (err && err.message ? err.message : String(err));
-            }
-            return;
-        }
+Formations.register('GALAXY', {
+    label: 'Ring Galaxy',
+    build: (c) => {
+        const TILT = 0.45; // tip the disc toward the camera
+        const tilt = (v) => {
+            const y = v.y * Math.cos(TILT) - v.z * Math.sin(TILT);
+            const z = v.y * Math.sin(TILT) + v.z * Math.cos(TILT);
+            v.y = y; v.z = z;
+        };
+        const main = fillFormation(c.main, (i, n, v) => {
+            // Two logarithmic-ish arms plus a diffuse core
+            const r = 0.3 + 4.2 * Math.pow(Math.random(), 0.8);
+            const arm = (i % 2) * Math.PI;
+            const a = arm + r * 1.1 + randomGaussian() * 0.3;
+            v.set(Math.cos(a) * r, randomGaussian() * 0.12 * (1.2 - r / 5), Math.sin(a) * r);
+            tilt(v);
+        });
+        const spiral = fillFormation(c.spiral, (i, n, v) => {
+            const a = (i / n) * Math.PI * 2;
+            const r = 4.7 + randomGaussian() * 0.08;
+            v.set(Math.cos(a) * r, randomGaussian() * 0.05, Math.sin(a) * r);
+            tilt(v);
+        });
+        return { main, spiral, star: starFormationAt(0, 0, 0) };
+    }
+});
 
-        if (mediaCamera) {
-            try {
-                await mediaCamera.start();
-            } catch (err) {
-                console.error('Failed to start mediaCamera:', err);
-                const loadingEl = document.getElementById('loading');
-                if (loadingEl) {
-                    loadingEl.style.display = 'block';
-                    loadingEl.textContent = 'Error starting camera: ' + (err && err.message ? err.message : String(err));
-                }
-            }
+Formations.register('SNOWFLAKE', {
+    label: 'Snowflake',
+    build: (c) => {
+        // Six arms in the view plane, each with two pairs of side branches
+        const segments = [];
+        for (let k = 0; k < 6; k++) {
+            const a = k * Math.PI / 3 + Math.PI / 2;
+            const dir = [Math.cos(a), Math.sin(a)];
+            segments.push([0, 0, dir[0] * 3.2, dir[1] * 3.2]);
+            [[1.3, 1.0], [2.2, 0.7]].forEach(([at, len]) => {
+                const bx = dir[0] * at, by = dir[1] * at;
+                [-1, 1].forEach(side => {
+                    const ba = a + side * Math.PI / 3;
+                    segments.push([bx, by, bx + Math.cos(ba) * len, by + Math.sin(ba) * len]);
+                });
+            });
         }
+        const lengths = segments.map(sg => Math.hypot(sg[2] - sg[0], sg[3] - sg[1]));
+        const total = lengths.reduce((a, b) => a + b, 0);
+        const main = fillFormation(c.main, (i, n, v) => {
+            let pick = Math.random() * total, k = 0;
+            while (pick > lengths[k] && k < segments.length - 1) { pick -= lengths[k]; k++; }
+            const sg = segments[k], f = Math.random();
+            v.set(THREE.MathUtils.lerp(sg[0], sg[2], f) + randomGaussian() * 0.04,
+                  THREE.MathUtils.lerp(sg[1], sg[3], f) + randomGaussian() * 0.04,
+                  randomGaussian() * 0.05);
+        });
+        // Hexagon around the center
+        const spiral = fillFormation(c.spiral, (i, n, v) => {
+            const t = (i / n) * 6, side = Math.floor(t), f = t - side;
+            const a0 = side * Math.PI / 3 + Math.PI / 2, a1 = a0 + Math.PI / 3;
+            v.set(THREE.MathUtils.lerp(Math.cos(a0), Math.cos(a1), f) * 0.9, THREE.MathUtils.lerp(Math.sin(a0), Math.sin(a1), f) * 0.9, 0);
+        });
+        return { main, spiral, star: starFormationAt(0, 0, 0) };
+    }
+});
 
-        // Since the user clicked to start, allow video sound and attempt playback
-        try {
-            if (videoEl) {
-                videoEl.muted = false;
-                videoEl.volume = 1.0;
-                // try to play in case it was previously blocked or paused
-                const p = videoEl.play();
-                if (p && p.then) p.catch(() => {});
+// Particle text: rasterizes a (multi-line, Latin or CJK) message on a 2D
+// canvas and samples the lit pixels as targets. Registered as the 'TEXT'
+// formation, right after the tree in the formation cycle, once a message is set.
+const TextFormation = (function(){
+    const MAX_CHARS = 200;
+    const MAX_LINES = 6;
+    const FONT_FAMILY = '"PingFang SC", "Hiragino Sans GB", "Microsoft YaHei", "Noto Sans CJK SC", "Noto Sans SC", "Helvetica Neue", Arial, sans-serif';
+    const MAX_WORLD_WIDTH = 8.5;
+    const MAX_WORLD_HEIGHT = 4.8;
+    let text = '';
+
+    // Accept real newlines and a typed "\n" (handy in URLs)
+    function splitLines(str){
+        return String(str).replace(/\\n/g, '\n').split(/\r?\n/).map(l => l.trim()).filter(l => l.length).slice(0, MAX_LINES);
+    }
+
+    function rasterize(lines){
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        let fontPx = 120;
+        ctx.font = `bold ${fontPx}px ${FONT_FAMILY}`;
+        const widest = Math.max(...lines.map(l => ctx.measureText(l).width), 1);
+        // Keep the canvas (and the pixel scan) bounded for long lines
+        if (widest > 1800) fontPx = Math.max(24, Math.floor(fontPx * 1800 / widest));
+        const lineHeight = Math.ceil(fontPx * 1.25);
+        const pad = Math.ceil(fontPx * 0.2);
+        ctx.font = `bold ${fontPx}px ${FONT_FAMILY}`;
+        canvas.width = Math.ceil(Math.max(...lines.map(l => ctx.measureText(l).width), 1)) + pad * 2;
+        canvas.height = lineHeight * lines.length + pad * 2;
+        // Resizing resets the context state
+        ctx.font = `bold ${fontPx}px ${FONT_FAMILY}`;
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        lines.forEach((line, k) => ctx.fillText(line, canvas.width / 2, pad + lineHeight * (k + 0.5)));
+
+        const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+        const lit = [];
+        for (let y = 0; y < canvas.height; y++) {
+            for (let x = 0; x < canvas.width; x++) {
+                if (data[(y * canvas.width + x) * 4 + 3] > 128) lit.push(x, y);
             }
-        } catch (e) {
-            console.warn('Could not unmute/play video immediately:', e);
         }
+        return { width: canvas.width, height: canvas.height, lit };
+    }
 
-    // 播放默认音乐（如果有）
-    if (audioEl && audioEl.src) {
-        try {
-            audioEl.volume = 0.5;
-            await audioEl.play();
-        } catch (e) {
-            console.log('Audio will play after file selection');
+    function build(c){
+        const lines = splitLines(text);
+        if (!lines.length) throw new Error('No text to show');
+        const r = rasterize(lines);
+        if (!r.lit.length) throw new Error('Text rendered no pixels');
+        const scale = Math.min(MAX_WORLD_WIDTH / r.width, MAX_WORLD_HEIGHT / r.height);
+        const pixels = r.lit.length / 2;
+        const toWorld = (px, py, v) => v.set((px - r.width / 2) * scale, (r.height / 2 - py) * scale, 0);
+
+        const main = fillFormation(c.main, (i, n, v) => {
+            const k = Math.floor(Math.random() * pixels) * 2;
+            toWorld(r.lit[k] + Math.random(), r.lit[k + 1] + Math.random(), v);
+            v.z = randomGaussian() * 0.06;
+        });
+        const halfW = r.width * scale / 2, halfH = r.height * scale / 2;
+        // Underline flourish beneath the message
+        const spiral = fillFormation(c.spiral, (i, n, v) => {
+            const f = i / n;
+            v.set((f * 2 - 1) * halfW, -halfH - 0.25 + Math.sin(f * Math.PI * 6) * 0.06, 0);
+        });
+        return { main, spiral, star: starFormationAt(0, halfH + 0.45, 0) };
+    }
+
+    /**
+     * Set the message and register it as the 'TEXT' formation. An empty
+     * message removes the formation (morphing back to the tree if it was
+     * showing) and returns false.
+     */
+    function setText(str){
+        text = String(str || '').slice(0, MAX_CHARS);
+        if (!splitLines(text).length) {
+            text = '';
+            Formations.unregister('TEXT');
+            if (STATE.assembledFormation === 'TEXT') STATE.assembledFormation = 'TREE';
+            if (STATE.mode === 'TEXT') STATE.mode = 'TREE';
+            return false;
+        }
+        // Re-registering drops the cached targets so the new message is rasterized
+        Formations.register('TEXT', { label: 'Message', order: 1, build });
+        return true;
+    }
+
+    return {
+        setText,
+        getText(){ return text; }
+    };
+})();
+
+// `?text=Merry Christmas, Anna` (a typed \n starts a new line) shows the
+// message once the experience has started
+try{
+    const textParam = new URLSearchParams(window.location.search).get('text');
+    if (textParam && TextFormation.setText(textParam)) {
+        document.addEventListener('app-ready', ()=>{
+            setTimeout(()=>{ try{ setFormation('TEXT'); }catch(e){ console.warn('Could not show text', e); } }, 1500);
+        }, { once: true });
+    }
+}catch(e){ console.warn('Could not read text parameter', e); }
+
+/**
+ * Morph into `name` (any registered formation). 'SCATTER' scatters; any other
+ * formation also becomes the one assembled by a fist / double-tap.
+ */
+function setFormation(name) {
+    if (!Formations.has(name)) throw new Error('Unknown formation "' + name + '"');
+    if (name !== 'SCATTER') STATE.assembledFormation = name;
+    STATE.mode = name;
+}
+
+// Step to the next (or previous, with step = -1) formation in the cycle
+function nextFormation(step = 1) {
+    const names = Formations.list(true);
+    if (!names.length) return;
+    const idx = names.indexOf(STATE.assembledFormation);
+    const next = names[((idx < 0 ? 0 : idx + step) % names.length + names.length) % names.length];
+    setFormation(next);
+}
+
+// F / Shift+F steps through the formations; T flips between the message and the tree
+window.addEventListener('keydown', (e)=>{
+    if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (isTypingTarget(e.target)) return;
+    if (e.code === 'KeyF') nextFormation(e.shiftKey ? -1 : 1);
+    else if (e.code === 'KeyT' && Formations.has('TEXT')) setFormation(STATE.mode === 'TEXT' ? 'TREE' : 'TEXT');
+});
+
+/**
+ * GPU MORPHING
+ */
+// Drives the shader morph for the main particles, the spiral band and the
+// star. Per frame only uniforms change (blend, time, scatter scale, spiral
+// phase); the position buffers are rewritten once per formation change, when
+// the in-flight blend is baked into `position` and the new targets are
+// copied into `aTarget`. That keeps the per-frame JS cost independent of
+// the particle count.
+
+// CPU twin of spiralFlow() in POINTS_VERTEX_SHADER
+function spiralFlowPosition(pct, phase, out) {
+    const h = CONFIG.treeHeight;
+    let ty = pct * h - h / 2 + (phase % h);
+    if (ty > h / 2) ty -= h;
+    const normH = (ty + h / 2) / h;
+    const angle = normH * Math.PI * 2 * CONFIG.spiralTurns + phase;
+    const r = (1 - normH) * CONFIG.treeRadius * 1.15 + 0.2;
+    return out.set(Math.cos(angle) * r, ty, Math.sin(angle) * r);
+}
+
+const Morph = (function(){
+    const layers = [
+        { part: 'main', points: particleSystem, speed: 1 },
+        { part: 'spiral', points: spiralSystem, speed: 2 },
+        { part: 'star', points: starPoints, speed: 2 }
+    ];
+    let current = 'TREE';
+    let currentTargets = null;  // formation object last copied into aTarget
+    let spiralPhase = 0;     // accumulated time * spiralSpeed, so speed changes don't jump
+    const tmp = new THREE.Vector3();
+
+    layers.forEach(layer => {
+        layer.points.frustumCulled = false; // the bounding sphere of `position` says nothing about the morph
+        if (layer.part === 'spiral') layer.points.material.uniforms.uToFlow.value = 1;
+    });
+
+    // Write the currently displayed positions into `position` and reset that side's modifiers
+    function bake(layer){
+        const u = layer.points.material.uniforms;
+        const geo = layer.points.geometry;
+        const from = geo.attributes.position.array;
+        const to = geo.attributes.aTarget.array;
+        const pct = geo.attributes.aPct ? geo.attributes.aPct.array : null;
+        const b = u.uBlend.value;
+        const fromFlow = u.uFromFlow.value > 0.5, toFlow = u.uToFlow.value > 0.5;
+        const fs = u.uFromScale.value, ts = u.uToScale.value;
+        for (let i = 0, n = from.length / 3; i < n; i++) {
+            let fx = from[i * 3] * fs, fy = from[i * 3 + 1] * fs, fz = from[i * 3 + 2] * fs;
+            let tx = to[i * 3] * ts, ty = to[i * 3 + 1] * ts, tz = to[i * 3 + 2] * ts;
+            if (pct && (fromFlow || toFlow)) {
+                spiralFlowPosition(pct[i], spiralPhase, tmp);
+                if (fromFlow) { fx = tmp.x; fy = tmp.y; fz = tmp.z; }
+                if (toFlow) { tx = tmp.x; ty = tmp.y; tz = tmp.z; }
+            }
+            from[i * 3] = fx + (tx - fx) * b;
+            from[i * 3 + 1] = fy + (ty - fy) * b;
+            from[i * 3 + 2] = fz + (tz - fz) * b;
+        }
+        geo.attributes.position.needsUpdate = true;
+        u.uFromScale.value = 1;
+        u.uFromNoise.value = 0;
+        u.uFromFlow.value = 0;
+    }
+
+    // Start morphing every layer from where it is now toward formation `name`
+    function retarget(name, formation){
+        layers.forEach(layer => {
+            bake(layer);
+            const u = layer.points.material.uniforms;
+            const aTarget = layer.points.geometry.attributes.aTarget;
+            aTarget.array.set(formation[layer.part]);
+            aTarget.needsUpdate = true;
+            u.uBlend.value = 0;
+            u.uToNoise.value = (name === 'SCATTER' && layer.part === 'main') ? 1 : 0;
+            u.uToFlow.value = (name === 'TREE' && layer.part === 'spiral') ? 1 : 0;
+        });
+        current = name;
+        currentTargets = formation;
+    }
+
+    /**
+     * Advance the morph toward formation `name` (its built targets are
+     * `formation`; a rebuilt formation retargets too). `scatterScale` is the
+     * live scatter radius multiplier; the blend eases like the old
+     * per-particle lerp (CONFIG.lerpSpeed per 60 fps frame, twice that for
+     * the band and star). `spiralSpeedScale` multiplies CONFIG.spiralSpeed
+     * (music beats).
+     */
+    function update(name, formation, delta, time, scatterScale, spiralSpeedScale = 1){
+        if (name !== current || formation !== currentTargets) retarget(name, formation);
+        spiralPhase += delta * CONFIG.spiralSpeed * spiralSpeedScale;
+        const frames = Math.min(delta * 60, 4);
+        layers.forEach(layer => {
+            const u = layer.points.material.uniforms;
+            const rate = Math.min(CONFIG.lerpSpeed * layer.speed, 1);
+            u.uBlend.value += (1 - u.uBlend.value) * (1 - Math.pow(1 - rate, frames));
+            u.uToScale.value = (current === 'SCATTER') ? scatterScale : 1;
+            u.uTime.value = time;
+            if (layer.part === 'spiral') {
+                u.uSpiralPhase.value = spiralPhase;
+                u.uTreeHeight.value = CONFIG.treeHeight;
+                u.uTreeRadius.value = CONFIG.treeRadius;
+                u.uSpiralTurns.value = CONFIG.spiralTurns;
+            }
+        });
+    }
+
+    return {
+        update,
+        current(){ return current; }
+    };
+})();
+
+// Swap fresh geometry into a particle layer ('main' or 'spiral'). The new
+// particles start on the current formation so only the density changes on
+// screen; Morph notices the rebuilt formation and retargets.
+function replaceLayerGeometry(points, part, extraAttributes) {
+    Formations.invalidate();
+    let targets;
+    try {
+        targets = Formations.get(Formations.has(STATE.mode) ? STATE.mode : 'TREE')[part];
+    } catch (e) {
+        targets = Formations.get('TREE')[part];
+    }
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(targets), 3));
+    geo.setAttribute('aTarget', new THREE.BufferAttribute(new Float32Array(targets), 3));
+    Object.keys(extraAttributes).forEach(name => geo.setAttribute(name, extraAttributes[name]));
+    const old = points.geometry;
+    points.geometry = geo;
+    old.dispose();
+    return geo;
+}
+
+// Rebuild the main particles with `count` particles (quality tiers, settings)
+function rebuildMainParticles(count) {
+    mainParticleCount = count;
+    generateMainParticles();
+    geometry = replaceLayerGeometry(particleSystem, 'main', { color: new THREE.Float32BufferAttribute(colors, 3) });
+    Lights.retag();
+}
+
+// Rebuild the spiral band for CONFIG.spiralCount particles
+function rebuildSpiralParticles() {
+    generateSpiralParticles();
+    spiralGeo = replaceLayerGeometry(spiralSystem, 'spiral', { aPct: new THREE.BufferAttribute(spiralPct, 1) });
+}
+
+// Re-apply CONFIG.color / CONFIG.starColor to the existing main particles
+function recolorMainParticles() {
+    const colorObj = new THREE.Color(CONFIG.color);
+    const starColorObj = new THREE.Color(CONFIG.starColor);
+    for (let i = 0; i < starMask.length; i++) {
+        const c = starMask[i] ? starColorObj : colorObj;
+        colors[i * 3] = c.r;
+        colors[i * 3 + 1] = c.g;
+        colors[i * 3 + 2] = c.b;
+    }
+    const attr = geometry.attributes.color;
+    attr.array.set(colors);
+    attr.needsUpdate = true;
+}
+
+/**
+ * STRING LIGHTS
+ */
+// Tags the main particles that lie on a few helical strings around the cone
+// as "bulbs" (the `aBulb` attribute) and lights them with a pattern in the
+// main particle shader. The tags are per particle, so the lights keep
+// running while the particles scatter or form other shapes, and per frame
+// only a handful of uniforms change. Every other particle keeps its vertex
+// color. L (or the Lights button) cycles the patterns; CONFIG.lightsPattern
+// picks the startup one.
+const Lights = (function(){
+    const PATTERNS = ['off', 'chase', 'twinkle', 'alternate', 'rainbow', 'music'];   // order matches bulbColor() in POINTS_VERTEX_SHADER
+    const LABELS = { off: 'Off', chase: 'Chase', twinkle: 'Twinkle', alternate: 'Red / green', rainbow: 'Rainbow', music: 'Music' };
+    const STRANDS = 3;
+    const TURNS = 3;                   // wraps per strand, counter to the spiral band
+    const BULB_WIDTH = 0.09;           // world units either side of a strand
+    const SURFACE = 0.7;               // only particles this close to the cone surface (of its radius)
+    const PALETTE = [0xff3b3b, 0x3bff6a, 0xffd23b, 0x3b8bff, 0xff6fae];
+
+    const button = document.getElementById('lights-btn');
+    const uniforms = material.uniforms;
+    let pattern = PATTERNS.includes(CONFIG.lightsPattern) ? CONFIG.lightsPattern : 'twinkle';
+    let bulbCount = 0;
+
+    PALETTE.forEach((hex, i) => uniforms.uBulbPalette.value[i].set(hex));
+    uniforms.uBulbRed.value.set(0xff2020);
+    uniforms.uBulbGreen.value.set(0x20ff50);
+
+    /** Find the bulbs among the current main particles (after a rebuild). */
+    function retag(){
+        const found = [];
+        const h = CONFIG.treeHeight;
+        for (let i = 0; i < mainParticleCount; i++) {
+            const x = treePositions[i * 3], y = treePositions[i * 3 + 1], z = treePositions[i * 3 + 2];
+            const normH = (y + h / 2) / h;
+            const coneR = (1 - normH) * CONFIG.treeRadius;
+            const r = Math.hypot(x, z);
+            if (coneR < 0.05 || r < coneR * SURFACE) continue;
+            const phi = Math.atan2(z, x);
+            for (let s = 0; s < STRANDS; s++) {
+                const theta = -normH * Math.PI * 2 * TURNS + s * Math.PI * 2 / STRANDS;
+                const diff = Math.atan2(Math.sin(phi - theta), Math.cos(phi - theta));
+                if (Math.abs(diff) * r < BULB_WIDTH) { found.push({ i, s, normH }); break; }
+            }
+        }
+        // Parity alternates along each strand (the red / green pattern)
+        found.sort((a, b) => a.s - b.s || a.normH - b.normH);
+        const tags = new Float32Array(mainParticleCount * 4);
+        found.forEach((f, k) => tags.set([f.s + 1, f.normH, Math.random(), k % 2], f.i * 4));
+        geometry.setAttribute('aBulb', new THREE.BufferAttribute(tags, 4));
+        bulbCount = found.length;
+    }
+
+    function update(time, music){
+        uniforms.uLightsPattern.value = PATTERNS.indexOf(pattern);
+        uniforms.uLightsTime.value = time * CONFIG.lightsSpeed;
+        uniforms.uMusic.value.set(music.bass, music.mid, music.treble, music.beat);
+        uniforms.uChaseColor.value.set(CONFIG.starColor);
+    }
+
+    function render(){
+        if (button) button.textContent = 'Lights: ' + LABELS[pattern];
+    }
+
+    /** Switch pattern ('off' | 'chase' | 'twinkle' | 'alternate' | 'rainbow' | 'music'); returns false if unknown. */
+    function setPattern(name){
+        if (!PATTERNS.includes(name)) return false;
+        pattern = name;
+        render();
+        return true;
+    }
+
+    function cycle(step = 1){
+        setPattern(PATTERNS[(PATTERNS.indexOf(pattern) + step + PATTERNS.length) % PATTERNS.length]);
+    }
+
+    retag();
+    render();
+    if (button) button.addEventListener('click', () => cycle());
+    window.addEventListener('keydown', (e)=>{
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.code === 'KeyL') cycle(e.shiftKey ? -1 : 1);
+    });
+
+    return {
+        update,
+        retag,
+        setPattern,
+        cycle,
+        pattern: () => pattern,
+        patterns: () => PATTERNS.slice(),
+        bulbCount: () => bulbCount
+    };
+})();
+
+/**
+ * VIDEO PLANE
+ */
+const videoTexture = new THREE.VideoTexture(videoEl);
+videoTexture.minFilter = THREE.LinearFilter;
+videoTexture.magFilter = THREE.LinearFilter;
+videoTexture.generateMipmaps = false;
+// Try to use the maximum anisotropy available to keep the video crisp when scaled
+const maxAniso = (renderer.capabilities && typeof renderer.capabilities.getMaxAnisotropy === 'function') ? renderer.capabilities.getMaxAnisotropy() : (renderer.capabilities ? renderer.capabilities.maxAnisotropy || 0 : 0);
+if (maxAniso) videoTexture.anisotropy = maxAniso;
+
+const videoGeo = new THREE.PlaneGeometry(4, 2.25); // 16:9 aspect ratio
+const videoMat = new THREE.MeshBasicMaterial({ 
+    map: videoTexture, 
+    side: THREE.DoubleSide,
+    transparent: true,
+    opacity: 0,
+    depthWrite: false // do not write to depth so particles can be rendered on top
+});
+const videoPlane = new THREE.Mesh(videoGeo, videoMat);
+// Start the video plane slightly behind the particle system; bring forward when showing
+videoPlane.position.set(0, 0, -5);
+scene.add(videoPlane);
+
+// Ensure render order so we can bring the video plane in front when needed
+videoPlane.renderOrder = 0;
+particleSystem.renderOrder = 1;
+
+// When the video's metadata loads, resize the plane to match the native aspect
+videoEl.addEventListener('loadedmetadata', () => {
+    try {
+        // Only while a video is the focused memory; a photo may own the plane
+        if (videoPlane.material.map !== videoTexture) return;
+        const vw = videoEl.videoWidth || 16;
+        const vh = videoEl.videoHeight || 9;
+        // Rebuild geometry to match native aspect ratio so pixels map correctly
+        fitMemoryPlane(videoPlane, vw / vh);
+        videoPlane.material.needsUpdate = true;
+    } catch (err) {
+        console.warn('Could not resize video plane to native aspect:', err);
+    }
+});
+
+/**
+ * MEMORY GALLERY
+ */
+// Videos and photos shown in SCATTER mode. The focused memory is the
+// `videoPlane` above (videos play through `videoEl`, which is re-pointed at
+// each video in turn); its neighbours sit either side as smaller planes
+// showing photos or video thumbnails. Swipe (hand, mouse/touch flick or the
+// [ / ] keys) moves through them; pinch opens the focused one full-size.
+//
+// Items come from CONFIG.memoriesUrl (default `memories.json`), a JSON array
+// or `{ "items": [...] }` of `{ "src": "memories/beach.mp4", "title": "...",
+// "type": "video" | "image" }` (type is guessed from the extension when
+// omitted); without a manifest the `#video-source` video is the only item.
+// "Memories..." and drag-and-drop add local files.
+const MEMORY_DISPLAY_HEIGHT = 3.5;   // world units; planes keep this height and their own aspect
+
+// Rebuild a plane's geometry for a new aspect ratio, keeping MEMORY_DISPLAY_HEIGHT
+function fitMemoryPlane(mesh, aspect) {
+    const width = aspect * MEMORY_DISPLAY_HEIGHT;
+    const params = mesh.geometry.parameters || {};
+    if (Math.abs((params.width || 0) - width) < 1e-3 && params.height === MEMORY_DISPLAY_HEIGHT) return;
+    mesh.geometry.dispose();
+    mesh.geometry = new THREE.PlaneGeometry(width, MEMORY_DISPLAY_HEIGHT);
+}
+
+const Gallery = (function(){
+    const SLOTS = [-2, -1, 1, 2];      // neighbour positions relative to the focused item
+    const SPACING = 4.4;               // world units between neighbouring items
+    const SIDE_SCALE = 0.45;           // neighbours relative to the focused plane
+    const SWIPE_DISTANCE = 0.55;       // normalized hand travel (of -1..1) that counts as a swipe...
+    const SWIPE_WINDOW_MS = 320;       // ...within this time
+    const SWIPE_COOLDOWN_MS = 700;
+    const VIDEO_EXT = /\.(mp4|webm|mov|m4v|ogv)(\?|#|$)/i;
+
+    const items = [];                  // { type, src, title, aspect, texture, objectUrl }
+    let index = 0;
+    let open = false;
+    let slide = 0;                     // carousel offset in items, eased back to 0 after a step
+    const swipeTrail = [];             // recent { t, x } of the open hand
+    let lastSwipeAt = 0;
+    let thumbQueue = Promise.resolve();
+
+    const sidePlanes = SLOTS.map(offset => {
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(16 / 9 * MEMORY_DISPLAY_HEIGHT, MEMORY_DISPLAY_HEIGHT),
+            new THREE.MeshBasicMaterial({ side: THREE.DoubleSide, transparent: true, opacity: 0, depthWrite: false })
+        );
+        mesh.visible = false;
+        mesh.renderOrder = 0;
+        mesh.userData.offset = offset;
+        mesh.userData.item = null;
+        scene.add(mesh);
+        return mesh;
+    });
+
+    // Title card used until a photo or video thumbnail has loaded
+    function placeholderTexture(title){
+        const canvas = document.createElement('canvas');
+        canvas.width = 320; canvas.height = 180;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#1a0b12';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = '#ff6fae';
+        ctx.lineWidth = 4;
+        ctx.strokeRect(2, 2, canvas.width - 4, canvas.height - 4);
+        ctx.fillStyle = '#ff6fae';
+        ctx.font = '48px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('▶', canvas.width / 2, canvas.height / 2 - 18);
+        ctx.font = '18px sans-serif';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(String(title || '').slice(0, 28), canvas.width / 2, canvas.height / 2 + 36);
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    function loadImage(item){
+        const img = new Image();
+        if (!item.objectUrl) img.crossOrigin = 'anonymous';
+        img.onload = () => {
+            const texture = new THREE.Texture(img);
+            texture.minFilter = THREE.LinearFilter;
+            texture.generateMipmaps = false;
+            texture.needsUpdate = true;
+            if (item.texture) item.texture.dispose();
+            item.texture = texture;
+            item.aspect = img.naturalWidth / img.naturalHeight || item.aspect;
+            refresh();
+        };
+        img.onerror = () => console.warn('Could not load memory photo', item.src);
+        img.src = item.src;
+    }
+
+    // Grab one frame of a video (a third of the way in, at most 1 s) as its thumbnail
+    function loadVideoThumb(item){
+        return new Promise(resolve => {
+            const v = document.createElement('video');
+            let settled = false;
+            const finish = () => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                v.removeAttribute('src');
+                v.load();
+                resolve();
+            };
+            const timer = setTimeout(finish, 8000);
+            v.muted = true;
+            v.playsInline = true;
+            v.preload = 'auto';
+            if (!item.objectUrl) v.crossOrigin = 'anonymous';
+            v.addEventListener('loadedmetadata', () => {
+                if (v.videoWidth && v.videoHeight) item.aspect = v.videoWidth / v.videoHeight;
+                v.currentTime = Math.min(1, (isFinite(v.duration) ? v.duration : 3) / 3);
+            }, { once: true });
+            v.addEventListener('seeked', () => {
+                try{
+                    const canvas = document.createElement('canvas');
+                    canvas.height = 180;
+                    canvas.width = Math.round(180 * (item.aspect || 16 / 9));
+                    canvas.getContext('2d').drawImage(v, 0, 0, canvas.width, canvas.height);
+                    canvas.toDataURL();   // throws if a cross-origin video tainted the canvas
+                    if (item.texture) item.texture.dispose();
+                    item.texture = new THREE.CanvasTexture(canvas);
+                    refresh();
+                }catch(e){ /* keep the placeholder */ }
+                finish();
+            }, { once: true });
+            v.addEventListener('error', finish, { once: true });
+            v.src = item.src;
+        });
+    }
+
+    function makeItem({ src, title, type, objectUrl = null }){
+        const kind = type === 'image' || type === 'video' ? type : (VIDEO_EXT.test(src) ? 'video' : 'image');
+        const name = title || decodeURIComponent(String(src).split('/').pop().replace(/\.[^.]+$/, ''));
+        const item = { type: kind, src, title: name, aspect: 16 / 9, texture: placeholderTexture(name), objectUrl };
+        if (kind === 'image') loadImage(item);
+        else thumbQueue = thumbQueue.then(() => loadVideoThumb(item));   // one decoder at a time
+        return item;
+    }
+
+    const focused = () => items[index] || null;
+    const wrap = (i) => ((i % items.length) + items.length) % items.length;
+
+    // Point the focused plane (and videoEl) at the focused item
+    function showFocused(){
+        const item = focused();
+        if (!item) return;
+        if (item.type === 'video') {
+            const url = new URL(item.src, window.location.href).href;
+            const srcTag = videoEl.querySelector('source');
+            const loadedUrl = videoEl.src || videoEl.currentSrc || (srcTag && srcTag.src) || '';
+            if (loadedUrl !== url) {
+                videoEl.src = url;
+                fitMemoryPlane(videoPlane, item.aspect);    // loadedmetadata refines it
+            }
+            videoPlane.material.map = videoTexture;
+            if (STATE.mode === 'SCATTER') {
+                videoEl.muted = !userInteracted;
+                const p = videoEl.play();
+                if (p && p.catch) p.catch(() => {});
+            }
+        } else {
+            if (!videoEl.paused) videoEl.pause();
+            videoPlane.material.map = item.texture;
+            fitMemoryPlane(videoPlane, item.aspect);
+        }
+        videoPlane.material.needsUpdate = true;
+    }
+
+    // Re-assign textures and aspect ratios after an item finished loading
+    function refresh(){
+        const item = focused();
+        if (item && item.type === 'image' && videoPlane.material.map !== item.texture) showFocused();
+        else if (item && item.type === 'image') fitMemoryPlane(videoPlane, item.aspect);
+        sidePlanes.forEach(mesh => { mesh.userData.item = null; });
+    }
+
+    // Move focus by `step` items (wrapping)
+    function step(stepBy){
+        if (items.length < 2 || !stepBy) return;
+        index = wrap(index + stepBy);
+        slide += stepBy;
+        showFocused();
+    }
+
+    function show(i){
+        if (!items.length) return;
+        const target = wrap(i);
+        if (target !== index) step(target - index);
+    }
+
+    function add(list, { focus = true } = {}){
+        const added = list.map(makeItem);
+        if (!added.length) return 0;
+        const first = items.length;
+        items.push(...added);
+        if (first === 0) { index = 0; showFocused(); }
+        else if (focus) show(first);
+        return added.length;
+    }
+
+    // Drop every item and show `list` instead (card bundles)
+    function replace(list){
+        if (!videoEl.paused) videoEl.pause();
+        setOpen(false);
+        items.splice(0).forEach(item => {
+            if (item.texture) item.texture.dispose();
+            if (item.objectUrl) URL.revokeObjectURL(item.objectUrl);
+        });
+        index = 0;
+        slide = 0;
+        return add(list);
+    }
+
+    // Local files (picker / drag-and-drop); returns how many were usable
+    function addFiles(files){
+        const media = Array.from(files || []).filter(f => f && (f.type.startsWith('image/') || f.type.startsWith('video/')));
+        return add(media.map(f => {
+            const objectUrl = URL.createObjectURL(f);
+            return { src: objectUrl, objectUrl, title: f.name.replace(/\.[^.]+$/, ''), type: f.type.startsWith('video/') ? 'video' : 'image' };
+        }));
+    }
+
+    function setOpen(value){
+        open = !!value && !!focused();
+        const item = focused();
+        if (open && item && item.type === 'video') {
+            // Opening a video is the old "Play Memory": with sound once the user has interacted
+            videoEl.muted = !userInteracted;
+            STATE.isPlayingVideo = true;
+            const p = videoEl.play();
+            if (p && p.catch) p.catch(() => {});
+        }
+    }
+
+    // Feed the open hand's x (-1..1) while scattered; a fast horizontal move is a swipe.
+    // Moving to the viewer's left (x rising in the unmirrored camera image) shows the next item.
+    function trackHand(x, now, active){
+        if (!active) { swipeTrail.length = 0; return; }
+        swipeTrail.push({ t: now, x });
+        while (swipeTrail.length && now - swipeTrail[0].t > SWIPE_WINDOW_MS) swipeTrail.shift();
+        if (now - lastSwipeAt < SWIPE_COOLDOWN_MS) return;
+        const dx = x - swipeTrail[0].x;
+        if (Math.abs(dx) >= SWIPE_DISTANCE) {
+            lastSwipeAt = now;
+            swipeTrail.length = 0;
+            step(dx > 0 ? 1 : -1);
+        }
+    }
+
+    // Scale for the focused plane: carousel size, or as large as fits the view when open
+    function focusScale(){
+        if (!open) return 1.8;
+        const item = focused();
+        const aspect = item ? item.aspect : 16 / 9;
+        const distance = Math.max(1, camera.position.distanceTo(videoPlane.position));
+        const viewH = 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+        const viewW = viewH * camera.aspect;
+        return 0.9 * Math.min(viewH / MEMORY_DISPLAY_HEIGHT, viewW / (aspect * MEMORY_DISPLAY_HEIGHT));
+    }
+
+    // Per frame: ease the carousel and place the neighbours around the focused plane
+    function update(delta, scale, opacity){
+        slide *= Math.exp(-delta * 8);
+        if (Math.abs(slide) < 1e-3) slide = 0;
+        videoPlane.position.x = THREE.MathUtils.lerp(videoPlane.position.x, open ? 0 : slide * SPACING * scale / 1.8, 0.3);
+        const n = items.length;
+        sidePlanes.forEach(mesh => {
+            const offset = mesh.userData.offset;
+            // With few items, don't show the same memory on both sides
+            const usable = offset > 0 ? offset <= Math.ceil((n - 1) / 2) : -offset <= Math.floor((n - 1) / 2);
+            const fade = open ? 0 : opacity * (Math.abs(offset) === 1 ? 0.75 : 0.4);
+            mesh.visible = usable && fade > 0.01;
+            if (!mesh.visible) return;
+            const item = items[wrap(index + offset)];
+            if (mesh.userData.item !== item || mesh.material.map !== item.texture) {
+                mesh.userData.item = item;
+                mesh.material.map = item.texture;
+                mesh.material.needsUpdate = true;
+                fitMemoryPlane(mesh, item.aspect);
+            }
+            const at = offset + slide;
+            const s = scale * SIDE_SCALE;
+            mesh.scale.set(s, s, 1);
+            mesh.position.set(at * SPACING * scale / 1.8, 0, videoPlane.position.z - Math.abs(at) * 1.2);
+            mesh.material.opacity = fade;
+            mesh.material.color.copy(videoPlane.material.color);
+            mesh.lookAt(camera.position);
+        });
+    }
+
+    // Manifest, or the page's own video when there is none
+    async function loadManifest(){
+        const fallback = () => {
+            const srcTag = videoEl && videoEl.querySelector('source');
+            const src = (srcTag && srcTag.src) || (videoEl && videoEl.src);
+            if (src && !items.length) add([{ src, title: 'Memory', type: 'video' }], { focus: false });
+        };
+        if (!CONFIG.memoriesUrl) return fallback();
+        try{
+            const res = await fetch(CONFIG.memoriesUrl, { cache: 'no-cache' });
+            if (!res.ok) return fallback();
+            const json = await res.json();
+            const list = Array.isArray(json) ? json : (json && Array.isArray(json.items) ? json.items : null);
+            if (!list) throw new Error('expected an array of items or { "items": [...] }');
+            const valid = list.filter(entry => entry && typeof entry.src === 'string' && entry.src);
+            if (valid.length < list.length) console.warn(`Memories: skipped ${list.length - valid.length} item(s) without a "src"`);
+            // Manifest paths are relative to the manifest itself
+            const base = new URL(CONFIG.memoriesUrl, window.location.href);
+            add(valid.map(entry => ({ src: new URL(entry.src, base).href, title: entry.title, type: entry.type })), { focus: false });
+            if (!items.length) fallback();
+        }catch(err){
+            console.error('Memories: could not read', CONFIG.memoriesUrl, '-', err && err.message ? err.message : err);
+            fallback();
+        }
+    }
+
+    async function pickFiles(){
+        addFiles(await pickFile('image/*,video/*', { multiple: true }));
+    }
+
+    const chooseBtn = document.getElementById('gallery-choose');
+    if (chooseBtn) chooseBtn.addEventListener('click', pickFiles);
+    FileDrop.register(
+        (file) => file.type.startsWith('image/') || file.type.startsWith('video/'),
+        (files) => { if (addFiles(files) && STATE.mode !== 'SCATTER') STATE.mode = 'SCATTER'; }
+    );
+    window.addEventListener('keydown', (e)=>{
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.code === 'BracketRight') step(1);
+        else if (e.code === 'BracketLeft') step(-1);
+        else if (e.code === 'KeyM') pickFiles();
+    });
+
+    // Keep the focused item's aspect when its video metadata arrives
+    videoEl.addEventListener('loadedmetadata', () => {
+        const item = focused();
+        if (item && item.type === 'video' && videoEl.videoWidth && videoEl.videoHeight) item.aspect = videoEl.videoWidth / videoEl.videoHeight;
+    });
+
+    loadManifest();
+
+    return {
+        add,
+        addFiles,
+        replace,
+        entries: () => items.map(item => ({ type: item.type, src: item.src, title: item.title })),
+        step,
+        show,
+        update,
+        trackHand,
+        focusScale,
+        isOpen: () => open,
+        open: () => setOpen(true),
+        close: () => setOpen(false),
+        toggleOpen: () => setOpen(!open),
+        focused: () => { const item = focused(); return item ? { type: item.type, src: item.src, title: item.title } : null; },
+        count: () => items.length,
+        index: () => index
+    };
+})();
+
+/**
+ * PHOTO ORNAMENTS
+ */
+// Small framed photos hanging on the cone of the assembled tree. They ride
+// along with particleSystem's rotation, fly out with the particles in
+// SCATTER and shrink away in the other formations. Every photo is
+// downscaled into one cell of a shared canvas atlas, so dozens of them cost
+// a single texture; pinching over an ornament loads the full photo (one at
+// a time) and brings it up in front of the camera until the next pinch.
+// "Ornaments..." or O adds photos from the local disk.
+const Ornaments = (function(){
+    const ATLAS_SIZE = 2048;
+    const CELL = 256;                  // px per photo in the atlas
+    const GRID = ATLAS_SIZE / CELL;    // 8 x 8 = 64 ornaments
+    const FRAME = 14;                  // px of gold frame around each photo
+    const FOCUS_MAX_PX = 1024;         // longest side of the enlarged photo texture
+    const FOCUS_DISTANCE = 5;          // world units in front of the camera
+    const FOCUS_SCALE = 0.75;          // of MEMORY_DISPLAY_HEIGHT
+    const PICK_RADIUS = 0.12;          // NDC (screen height = 2) around an ornament that a pinch hits
+    const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+    const atlas = document.createElement('canvas');
+    atlas.width = atlas.height = ATLAS_SIZE;
+    const atlasCtx = atlas.getContext('2d');
+    const atlasTexture = new THREE.CanvasTexture(atlas);
+
+    const photoMaterial = new THREE.MeshBasicMaterial({ map: atlasTexture, transparent: true, depthWrite: false, side: THREE.DoubleSide });
+    const glowMaterial = new THREE.MeshBasicMaterial({
+        map: orbTexture, color: CONFIG.starColor, transparent: true, opacity: 0.6,
+        blending: THREE.AdditiveBlending, depthWrite: false
+    });
+    const glowGeometry = new THREE.PlaneGeometry(2.2, 2.2);
+
+    // Child of the particle system so the ornaments turn with the tree
+    const group = new THREE.Group();
+    group.renderOrder = 2;
+    particleSystem.add(group);
+
+    const ornaments = [];              // { mesh, objectUrl, name, treePos, scatterPos, phase }
+    let scatterBlend = STATE.mode === 'SCATTER' ? 1 : 0;
+    let presence = 1;                  // 0 while another formation is assembled
+
+    const focusMesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(MEMORY_DISPLAY_HEIGHT, MEMORY_DISPLAY_HEIGHT),
+        new THREE.MeshBasicMaterial({ transparent: true, opacity: 0, depthTest: false, depthWrite: false })
+    );
+    focusMesh.renderOrder = 3;
+    focusMesh.visible = false;
+    scene.add(focusMesh);
+    let focus = null;                  // the enlarged ornament
+    let focusOpen = false;
+    let focusAmount = 0;               // 0 = on the tree .. 1 = in front of the camera
+    let focusRequest = 0;              // drops photo loads that finish after another pinch
+    let hovered = null;                // ornament under the hand cursor (drawn larger)
+
+    const _from = new THREE.Vector3();
+    const _to = new THREE.Vector3();
+    const _ndc = new THREE.Vector3();
+
+    // Cover-crop the photo into its cell, inside a rounded gold frame
+    function drawCell(slot, img){
+        const x = (slot % GRID) * CELL, y = Math.floor(slot / GRID) * CELL;
+        const inner = CELL - FRAME * 2;
+        const w = img.naturalWidth || img.width, h = img.naturalHeight || img.height;
+        const side = Math.min(w, h);
+        atlasCtx.save();
+        atlasCtx.clearRect(x, y, CELL, CELL);
+        atlasCtx.beginPath();
+        atlasCtx.roundRect(x + 2, y + 2, CELL - 4, CELL - 4, 28);
+        const gold = atlasCtx.createLinearGradient(x, y, x + CELL, y + CELL);
+        gold.addColorStop(0, '#fff2cc');
+        gold.addColorStop(0.5, '#d4a437');
+        gold.addColorStop(1, '#fff2cc');
+        atlasCtx.fillStyle = gold;
+        atlasCtx.fill();
+        atlasCtx.beginPath();
+        atlasCtx.roundRect(x + FRAME, y + FRAME, inner, inner, 18);
+        atlasCtx.clip();
+        atlasCtx.drawImage(img, (w - side) / 2, (h - side) / 2, side, side, x + FRAME, y + FRAME, inner, inner);
+        atlasCtx.restore();
+        atlasTexture.needsUpdate = true;
+    }
+
+    // A plane whose UVs cover one atlas cell (the canvas is flipped on upload)
+    function cellGeometry(slot){
+        const geo = new THREE.PlaneGeometry(1, 1);
+        const col = slot % GRID, row = Math.floor(slot / GRID);
+        const uv = geo.attributes.uv;
+        for (let i = 0; i < uv.count; i++) {
+            uv.setXY(i, (col + uv.getX(i)) / GRID, 1 - (row + 1 - uv.getY(i)) / GRID);
+        }
+        return geo;
+    }
+
+    // Spread along the cone with the golden angle so new photos fill the gaps
+    function treePosition(i){
+        const t = 0.12 + ((i * 0.381966) % 1) * 0.7;    // height fraction, clear of the base and the star
+        const angle = i * GOLDEN_ANGLE;
+        const r = (1 - t) * CONFIG.treeRadius * 1.04 + 0.05;
+        return new THREE.Vector3(Math.cos(angle) * r, t * CONFIG.treeHeight - CONFIG.treeHeight / 2, Math.sin(angle) * r);
+    }
+
+    function scatterPosition(){
+        const dir = new THREE.Vector3().randomDirection();
+        return dir.multiplyScalar(CONFIG.scatterRadius * (0.45 + Math.random() * 0.35));
+    }
+
+    function loadImage(url){
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('could not decode image'));
+            img.src = url;
+        });
+    }
+
+    /**
+     * Hang photos (File objects) on the tree. Returns how many were added;
+     * non-images and anything past the atlas capacity are skipped.
+     */
+    function addFiles(files){
+        const images = Array.from(files || []).filter(f => f && /^image\//.test(f.type));
+        const room = GRID * GRID - ornaments.length;
+        if (images.length > room) console.warn(`Ornaments: the tree holds ${GRID * GRID} photos; skipped ${images.length - Math.max(room, 0)}`);
+        const accepted = images.slice(0, Math.max(room, 0));
+        accepted.forEach(file => {
+            const slot = ornaments.length;
+            const objectUrl = URL.createObjectURL(file);
+            const mesh = new THREE.Mesh(cellGeometry(slot), photoMaterial);
+            const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+            glow.position.z = -0.01;
+            mesh.add(glow);
+            mesh.visible = false;      // until its cell is drawn
+            group.add(mesh);
+            const ornament = { mesh, objectUrl, name: file.name, treePos: treePosition(slot), scatterPos: scatterPosition(), phase: Math.random() * Math.PI * 2 };
+            ornaments.push(ornament);
+            loadImage(objectUrl).then(img => {
+                drawCell(slot, img);
+                mesh.visible = true;
+            }).catch(err => console.warn('Ornaments: skipped', file.name, '-', err.message));
+        });
+        return accepted.length;
+    }
+
+    async function pickFiles(){
+        addFiles(await pickFile('image/*', { multiple: true }));
+    }
+
+    /**
+     * The ornament nearest to `point` (NDC, -1..1 with y up) on screen, if
+     * one is within reach: `{ ref, distance }` with its distance from the
+     * camera (for Picker), or null.
+     */
+    function pickAt(point){
+        if (!point || presence < 0.5) return null;
+        let best = null, bestDist = PICK_RADIUS;
+        ornaments.forEach(o => {
+            if (!o.mesh.visible) return;
+            _ndc.setFromMatrixPosition(o.mesh.matrixWorld).project(camera);
+            if (_ndc.z > 1) return;
+            const d = Math.hypot((_ndc.x - point.x) * camera.aspect, _ndc.y - point.y);
+            if (d < bestDist) { best = o; bestDist = d; }
+        });
+        return best ? { ref: best, distance: best.mesh.getWorldPosition(_from).distanceTo(camera.position) } : null;
+    }
+
+    // Start from the atlas cell, then swap in the full photo once it loads
+    function open(ornament){
+        const request = ++focusRequest;
+        focus = ornament;
+        focusOpen = true;
+        focusAmount = 0;
+        const mat = focusMesh.material;
+        releaseFocusMap();
+        focusMesh.geometry.dispose();
+        focusMesh.geometry = ornament.mesh.geometry.clone().scale(MEMORY_DISPLAY_HEIGHT, MEMORY_DISPLAY_HEIGHT, 1);
+        loadImage(ornament.objectUrl).then(img => {
+            if (request !== focusRequest) return;
+            const k = Math.min(1, FOCUS_MAX_PX / Math.max(img.naturalWidth, img.naturalHeight));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.naturalWidth * k));
+            canvas.height = Math.max(1, Math.round(img.naturalHeight * k));
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            releaseFocusMap();
+            mat.map = new THREE.CanvasTexture(canvas);
+            mat.needsUpdate = true;
+            fitMemoryPlane(focusMesh, canvas.width / canvas.height);
+        }).catch(err => console.warn('Ornaments: could not open', ornament.name, '-', err.message));
+    }
+
+    // Free the full-size photo texture (up to FOCUS_MAX_PX) and fall back to the atlas
+    function releaseFocusMap(){
+        const mat = focusMesh.material;
+        if (mat.map === atlasTexture) return;
+        if (mat.map) mat.map.dispose();
+        mat.map = atlasTexture;
+        mat.needsUpdate = true;
+    }
+
+    // The photo keeps its full-size texture while it flies back; update()
+    // releases it once it is hidden
+    function close(){
+        focusOpen = false;
+        focusRequest++;
+        if (!focus) releaseFocusMap();
+    }
+
+    // Take every ornament down and hang `files` instead (card bundles)
+    function replace(files){
+        close();
+        focus = null;
+        focusAmount = 0;
+        releaseFocusMap();
+        ornaments.splice(0).forEach(o => {
+            group.remove(o.mesh);
+            o.mesh.geometry.dispose();
+            URL.revokeObjectURL(o.objectUrl);
+        });
+        atlasCtx.clearRect(0, 0, ATLAS_SIZE, ATLAS_SIZE);
+        atlasTexture.needsUpdate = true;
+        return addFiles(files);
+    }
+
+    function update(delta, scatterScale){
+        const ease = 1 - Math.pow(1 - CONFIG.lerpSpeed, delta * 60);
+        scatterBlend += ((STATE.mode === 'SCATTER' ? 1 : 0) - scatterBlend) * ease;
+        presence += ((STATE.mode === 'SCATTER' || STATE.mode === 'TREE' ? 1 : 0) - presence) * ease;
+        const size = CONFIG.ornamentSize * presence;
+        const time = performance.now() / 1000;
+        ornaments.forEach(o => {
+            const mesh = o.mesh;
+            mesh.position.lerpVectors(o.treePos, _to.copy(o.scatterPos).multiplyScalar(scatterScale), scatterBlend);
+            mesh.position.y += Math.sin(time * 1.5 + o.phase) * 0.03;     // a gentle sway
+            const hidden = o === focus && focusAmount > 0.05;
+            mesh.scale.setScalar(hidden ? 1e-4 : Math.max(size * (o === hovered ? 1.35 : 1), 1e-4));
+            mesh.lookAt(camera.position);
+        });
+
+        // Fly the enlarged photo between its ornament and the front of the camera
+        focusAmount += ((focusOpen ? 1 : 0) - focusAmount) * Math.min(1, delta * 6);
+        if (!focusOpen && focusAmount < 0.01 && focus) { focus = null; releaseFocusMap(); }
+        focusMesh.visible = !!focus;
+        if (!focus) return;
+        focus.mesh.getWorldPosition(_from);
+        camera.getWorldDirection(_to).multiplyScalar(FOCUS_DISTANCE).add(camera.position);
+        const k = focusAmount * focusAmount * (3 - 2 * focusAmount);
+        focusMesh.position.lerpVectors(_from, _to, k);
+        focusMesh.scale.setScalar(THREE.MathUtils.lerp(CONFIG.ornamentSize / MEMORY_DISPLAY_HEIGHT, FOCUS_SCALE, k));
+        focusMesh.material.opacity = Math.min(1, focusAmount * 3);
+        focusMesh.lookAt(camera.position);
+    }
+
+    const chooseBtn = document.getElementById('ornament-choose');
+    if (chooseBtn) chooseBtn.addEventListener('click', pickFiles);
+    window.addEventListener('keydown', (e)=>{
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.code === 'KeyO') pickFiles();
+        else if (e.code === 'Escape' && focusOpen) close();
+    });
+
+    return {
+        addFiles,
+        replace,
+        entries: () => ornaments.map(o => ({ name: o.name, url: o.objectUrl })),
+        update,
+        pickAt,
+        open,
+        setHovered: (ref) => { hovered = ref || null; },
+        close,
+        isOpen: () => focusOpen,
+        count: () => ornaments.length
+    };
+})();
+
+/**
+ * SNOWFALL
+ */
+// Ambient snow in a box around the tree. Flakes are CPU-integrated (a few
+// thousand at most) and recycled at the top once they fall out of the box or
+// blow past its sides. The steering hand (or a drag) is the wind: its x
+// pushes flakes sideways, its height lifts or presses them down. When the
+// tree scatters they swirl outward with the particles. The flakes are
+// dimmer than the tree and use normal blending so the bloom doesn't turn
+// the snow into a white haze; FogExp2 fades the distant ones. N toggles it.
+const Snowfall = (function(){
+    const BOX = { x: 11, yTop: 7, yBottom: -6, zNear: 6, zFar: -10 };
+    const WIND_MAX = 2.5;              // world units/s of sideways drift at full hand offset (x CONFIG.snowWind)
+    const LIFT_MAX = 1.2;              // vertical push at full hand height
+    const SWIRL_SPEED = 1.4;           // tangential speed around the tree while scattered
+    const SWIRL_OUT = 1.8;             // outward speed while scattered
+    const VARIANTS = 4;                // flake shapes in the 2 x 2 texture atlas
+
+    const VERTEX_SHADER = /* glsl */`
+uniform float size;
+uniform float scale;
+attribute float aSize;
+attribute float aVariant;
+attribute float aSpin;
+varying vec2 vCell;
+varying float vSpin;
+
+#include <common>
+#include <fog_pars_vertex>
+
+void main() {
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = size * aSize * (scale / -mvPosition.z);
+    vCell = vec2(mod(aVariant, 2.0), 1.0 - floor(aVariant / 2.0)) * 0.5;
+    vSpin = aSpin;
+
+    #include <fog_vertex>
+}
+`;
+
+    const FRAGMENT_SHADER = /* glsl */`
+uniform vec3 diffuse;
+uniform float opacity;
+uniform sampler2D map;
+varying vec2 vCell;
+varying float vSpin;
+
+#include <common>
+#include <fog_pars_fragment>
+
+void main() {
+    // Spin the flake inside its point sprite
+    vec2 p = gl_PointCoord - 0.5;
+    vec2 uv = vec2(cos(vSpin) * p.x - sin(vSpin) * p.y, sin(vSpin) * p.x + cos(vSpin) * p.y) + 0.5;
+    if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) discard;
+    gl_FragColor = vec4(diffuse, opacity) * texture2D(map, vCell + vec2(uv.x, 1.0 - uv.y) * 0.5);
+    #include <fog_fragment>
+}
+`;
+
+    // Four flake shapes: soft dot, plain star, branched star, tiny sparkle
+    function flakeAtlas(){
+        const cell = 64;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = cell * 2;
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = '#fff';
+        ctx.lineCap = 'round';
+        for (let v = 0; v < VARIANTS; v++) {
+            const cx = (v % 2) * cell + cell / 2, cy = Math.floor(v / 2) * cell + cell / 2;
+            const glow = ctx.createRadialGradient(cx, cy, 0, cx, cy, cell / 2);
+            glow.addColorStop(0, 'rgba(255,255,255,0.9)');
+            glow.addColorStop(v === 0 ? 0.5 : 0.15, 'rgba(255,255,255,0.35)');
+            glow.addColorStop(1, 'rgba(255,255,255,0)');
+            ctx.fillStyle = glow;
+            ctx.fillRect(cx - cell / 2, cy - cell / 2, cell, cell);
+            if (v === 0) continue;
+            const arm = v === 3 ? cell * 0.22 : cell * 0.4;
+            ctx.lineWidth = v === 3 ? 2 : 3;
+            for (let a = 0; a < 6; a++) {
+                const ang = a * Math.PI / 3;
+                const dx = Math.cos(ang), dy = Math.sin(ang);
+                ctx.beginPath();
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(cx + dx * arm, cy + dy * arm);
+                if (v === 2) {
+                    // Side branches two thirds of the way out
+                    const bx = cx + dx * arm * 0.6, by = cy + dy * arm * 0.6;
+                    [-1, 1].forEach(side => {
+                        const b = ang + side * Math.PI / 4;
+                        ctx.moveTo(bx, by);
+                        ctx.lineTo(bx + Math.cos(b) * arm * 0.3, by + Math.sin(b) * arm * 0.3);
+                    });
+                }
+                ctx.stroke();
+            }
+        }
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            size: { value: CONFIG.snowSize },
+            scale: { value: 1 },
+            diffuse: { value: new THREE.Color(0xc8d4ea) },
+            opacity: { value: 0.7 },
+            map: { value: null }
+        }]),
+        vertexShader: VERTEX_SHADER,
+        fragmentShader: FRAGMENT_SHADER,
+        transparent: true,
+        depthWrite: false,
+        fog: true
+    });
+    material.uniforms.map.value = flakeAtlas();
+    pointMaterials.push(material);      // setPointScale() keeps it in step with the canvas height
+
+    const points = new THREE.Points(new THREE.BufferGeometry(), material);
+    points.frustumCulled = false;
+    scene.add(points);
+
+    let flakes = null;                 // { pos, vel, spin, spinRate, size, variant } typed arrays
+    let count = 0;
+    let wind = 0, lift = 0, swirl = 0;
+
+    function respawn(i, anywhere){
+        const p = flakes.pos;
+        p[i * 3] = (Math.random() * 2 - 1) * BOX.x;
+        p[i * 3 + 1] = anywhere ? BOX.yBottom + Math.random() * (BOX.yTop - BOX.yBottom) : BOX.yTop + Math.random() * 0.5;
+        p[i * 3 + 2] = BOX.zFar + Math.random() * (BOX.zNear - BOX.zFar);
+        // Bigger flakes fall a little faster
+        flakes.fall[i] = (0.6 + Math.random() * 0.4) * (0.7 + flakes.size[i] * 0.3);
+    }
+
+    /** (Re)build the flake pool for `n` flakes; 0 turns the snow off. */
+    function setCount(n){
+        count = Math.max(0, Math.round(n));
+        flakes = {
+            pos: new Float32Array(count * 3),
+            fall: new Float32Array(count),
+            size: new Float32Array(count),
+            variant: new Float32Array(count),
+            spin: new Float32Array(count),
+            spinRate: new Float32Array(count),
+            phase: new Float32Array(count)
+        };
+        for (let i = 0; i < count; i++) {
+            flakes.size[i] = 0.5 + Math.random();
+            flakes.variant[i] = Math.floor(Math.random() * VARIANTS);
+            flakes.spin[i] = Math.random() * Math.PI * 2;
+            flakes.spinRate[i] = (Math.random() - 0.5) * 2;
+            flakes.phase[i] = Math.random() * Math.PI * 2;
+            respawn(i, true);
+        }
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(flakes.pos, 3).setUsage(THREE.DynamicDrawUsage));
+        geo.setAttribute('aSize', new THREE.BufferAttribute(flakes.size, 1));
+        geo.setAttribute('aVariant', new THREE.BufferAttribute(flakes.variant, 1));
+        geo.setAttribute('aSpin', new THREE.BufferAttribute(flakes.spin, 1).setUsage(THREE.DynamicDrawUsage));
+        points.geometry.dispose();
+        points.geometry = geo;
+    }
+
+    /**
+     * Advance the flakes. `scattered` eases the outward swirl in, `dim`
+     * (0..1) follows the particle dimming while a memory is shown.
+     */
+    function update(delta, time, scattered, dim){
+        if (!count || !points.visible) return;
+        const dt = Math.min(delta, 0.05);
+        const steering = STATE.handDetected || STATE.pointerActive;
+        const ease = 1 - Math.pow(0.1, dt);            // ~90% of the way per second
+        wind += ((steering ? STATE.handX : 0) * WIND_MAX * CONFIG.snowWind - wind) * ease;
+        lift += ((steering ? STATE.handY : 0) * LIFT_MAX * CONFIG.snowWind - lift) * ease;
+        swirl += ((scattered ? 1 : 0) - swirl) * ease;
+        material.uniforms.size.value = CONFIG.snowSize;
+        material.uniforms.opacity.value = 0.7 * dim;
+
+        const p = flakes.pos;
+        const speed = CONFIG.snowSpeed;
+        for (let i = 0; i < count; i++) {
+            const ix = i * 3;
+            let x = p[ix], y = p[ix + 1], z = p[ix + 2];
+            // Fall, flutter, and drift with the wind (small flakes catch more of it)
+            const catchWind = 1.3 - flakes.size[i] * 0.4;
+            x += (wind * catchWind + Math.sin(time * 1.3 + flakes.phase[i]) * 0.15) * dt;
+            y += (lift * catchWind - flakes.fall[i] * speed) * dt;
+            if (swirl > 0.01) {
+                const r = Math.max(Math.hypot(x, z), 0.3);
+                const ux = x / r, uz = z / r;
+                x += (-uz * SWIRL_SPEED + ux * SWIRL_OUT) * swirl * dt;
+                z += (ux * SWIRL_SPEED + uz * SWIRL_OUT) * swirl * dt;
+            }
+            p[ix] = x; p[ix + 1] = y; p[ix + 2] = z;
+            flakes.spin[i] += flakes.spinRate[i] * dt;
+            const blownOut = Math.abs(x) > BOX.x || z > BOX.zNear || z < BOX.zFar;
+            if (y < BOX.yBottom || blownOut) {
+                // Fallen flakes start again at the top, blown-out ones anywhere in the box...
+                respawn(i, blownOut);
+                // ...from the upwind edge while the wind carries them out sideways
+                if (Math.abs(x) > BOX.x && Math.abs(wind) > 0.3) p[ix] = -Math.sign(wind) * BOX.x * (0.9 + Math.random() * 0.1);
+            } else if (y > BOX.yTop + 1) {
+                p[ix + 1] = BOX.yBottom;       // an updraft carried it out of the top
+            }
+        }
+        points.geometry.attributes.position.needsUpdate = true;
+        points.geometry.attributes.aSpin.needsUpdate = true;
+    }
+
+    function toggle(on = !points.visible){
+        points.visible = !!on;
+    }
+
+    setCount(CONFIG.snowCount);
+    window.addEventListener('keydown', (e)=>{
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.code === 'KeyN') toggle();
+    });
+
+    return { update, setCount, toggle, isVisible: () => points.visible };
+})();
+
+/**
+ * FIREWORKS
+ */
+// A quick fist-to-open "burst" (GestureClassifier's `burst` flag), or B,
+// launches shells from the tree top that explode into colored sparks. All
+// shells and sparks live in one fixed pool drawn as a single Points object:
+// each spark is TRAIL vertices (its head plus a few older positions), so
+// bursts never allocate and the oldest sparks are recycled when the pool is
+// full. Sparks fall with gravity, slow with drag and fade out while the
+// tree particles drift into the scatter cloud.
+const Fireworks = (function(){
+    const POOL = 2400;                 // sparks (shells included)
+    const TRAIL = 5;                   // vertices per spark: head + 4 trail samples
+    const TRAIL_STEP = 0.03;           // seconds between trail samples
+    const GRAVITY = 3.2;
+    const DRAG = 1.4;                  // velocity decay per second (exponential)
+    const SPARKS_PER_SHELL = 220;
+    const SHELL = 1, SPARK = 2;
+
+    const VERTEX_SHADER = /* glsl */`
+uniform float size;
+uniform float scale;
+attribute vec3 aColor;
+attribute float aAlpha;
+varying vec3 vColor;
+varying float vAlpha;
+
+#include <common>
+#include <fog_pars_vertex>
+
+void main() {
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = size * (0.4 + 0.6 * aAlpha) * (scale / -mvPosition.z);
+    vColor = aColor;
+    vAlpha = aAlpha;
+
+    #include <fog_vertex>
+}
+`;
+
+    const FRAGMENT_SHADER = /* glsl */`
+uniform sampler2D map;
+varying vec3 vColor;
+varying float vAlpha;
+
+#include <common>
+#include <fog_pars_fragment>
+
+void main() {
+    if (vAlpha < 0.01) discard;
+    gl_FragColor = vec4(vColor, vAlpha) * texture2D(map, vec2(gl_PointCoord.x, 1.0 - gl_PointCoord.y));
+    #include <fog_fragment>
+}
+`;
+
+    const kind = new Uint8Array(POOL);            // 0 = free
+    const pos = new Float32Array(POOL * 3);
+    const vel = new Float32Array(POOL * 3);
+    const life = new Float32Array(POOL);          // seconds left
+    const ttl = new Float32Array(POOL);
+    const tint = new Float32Array(POOL * 3);
+    const trailPos = new Float32Array(POOL * TRAIL * 3);   // also the position attribute
+    const vertColor = new Float32Array(POOL * TRAIL * 3);
+    const vertAlpha = new Float32Array(POOL * TRAIL);
+    let cursor = 0;                    // next slot to try
+    let alive = 0;
+    let trailClock = 0;
+    // Scratch values reused by every burst and launch
+    const c = new THREE.Color();
+    const v = new THREE.Vector3();
+    const colors = [0, 0, 0, 0xff3b3b, 0x3bff6a, 0x6ab8ff];
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(trailPos, 3).setUsage(THREE.DynamicDrawUsage));
+    geo.setAttribute('aColor', new THREE.BufferAttribute(vertColor, 3).setUsage(THREE.DynamicDrawUsage));
+    geo.setAttribute('aAlpha', new THREE.BufferAttribute(vertAlpha, 1).setUsage(THREE.DynamicDrawUsage));
+    const material = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            size: { value: 0.22 },
+            scale: { value: 1 },
+            map: { value: null }
+        }]),
+        vertexShader: VERTEX_SHADER,
+        fragmentShader: FRAGMENT_SHADER,
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false,
+        fog: true
+    });
+    material.uniforms.map.value = orbTexture;
+    pointMaterials.push(material);
+    const points = new THREE.Points(geo, material);
+    points.frustumCulled = false;
+    points.visible = false;
+    scene.add(points);
+
+    // A free slot, or the oldest one once the pool is full
+    function allocate(){
+        for (let n = 0; n < POOL; n++) {
+            const i = (cursor + n) % POOL;
+            if (!kind[i]) { cursor = (i + 1) % POOL; return i; }
+        }
+        const i = cursor;
+        cursor = (cursor + 1) % POOL;
+        return i;
+    }
+
+    function spawn(type, x, y, z, vx, vy, vz, seconds, color){
+        const i = allocate();
+        if (!kind[i]) alive++;         // a recycled slot was already counted
+        kind[i] = type;
+        pos[i * 3] = x; pos[i * 3 + 1] = y; pos[i * 3 + 2] = z;
+        vel[i * 3] = vx; vel[i * 3 + 1] = vy; vel[i * 3 + 2] = vz;
+        life[i] = ttl[i] = seconds;
+        tint[i * 3] = color.r; tint[i * 3 + 1] = color.g; tint[i * 3 + 2] = color.b;
+        for (let j = 0; j < TRAIL; j++) trailPos.set(pos.subarray(i * 3, i * 3 + 3), (i * TRAIL + j) * 3);
+    }
+
+    // Random burst color: the scene's own colors (which settings may change) or a festive accent
+    function randomColor(){
+        colors[0] = CONFIG.color; colors[1] = CONFIG.starColor; colors[2] = CONFIG.spiralColor;
+        return colors[Math.floor(Math.random() * colors.length)];
+    }
+
+    /**
+     * Burst `count` sparks at world position x, y, z, in `color` (random
+     * palette colors by default) with a quarter in a second accent color;
+     * `speed` scales how far they fly.
+     */
+    function burstAt(x, y, z, { count = SPARKS_PER_SHELL, color, speed = 1 } = {}){
+        const main = color !== undefined ? color : randomColor();
+        const accent = randomColor();
+        for (let n = 0; n < count; n++) {
+            v.randomDirection().multiplyScalar((3 + Math.random() * 1.5) * speed);
+            c.set(n % 4 ? main : accent).multiplyScalar(1.2);
+            spawn(SPARK, x, y, z, v.x, v.y, v.z, (1.2 + Math.random() * 0.9) * Math.sqrt(speed), c);
+        }
+        points.visible = true;
+    }
+
+    function explode(i){
+        burstAt(pos[i * 3], pos[i * 3 + 1], pos[i * 3 + 2]);
+    }
+
+    /** Launch `count` shells from the top of the tree. */
+    function launch(count = 3){
+        c.set(CONFIG.starColor).multiplyScalar(1.5);
+        for (let n = 0; n < count; n++) {
+            const ang = Math.random() * Math.PI * 2, spread = 0.8 + Math.random() * 1.6;
+            spawn(SHELL, 0, treeTopY, 0, Math.cos(ang) * spread, 5.5 + Math.random() * 2, Math.sin(ang) * spread, 0.6 + Math.random() * 0.35, c);
+        }
+        points.visible = true;
+    }
+
+    function update(delta){
+        if (!alive) { points.visible = false; return; }
+        const dt = Math.min(delta, 0.05);
+        const drag = Math.exp(-DRAG * dt);
+        trailClock += dt;
+        const shiftTrail = trailClock >= TRAIL_STEP;
+        if (shiftTrail) trailClock = 0;
+
+        for (let i = 0; i < POOL; i++) {
+            if (!kind[i]) continue;
+            life[i] -= dt;
+            if (life[i] <= 0) {
+                // Free the slot first: the burst may reuse it for one of its sparks
+                const wasShell = kind[i] === SHELL;
+                kind[i] = 0;
+                for (let j = 0; j < TRAIL; j++) vertAlpha[i * TRAIL + j] = 0;
+                if (wasShell) explode(i);
+                continue;
+            }
+            const k = i * 3;
+            // Shells coast upward; sparks feel the full drag
+            const d = kind[i] === SHELL ? Math.sqrt(drag) : drag;
+            vel[k] *= d; vel[k + 1] = vel[k + 1] * d - GRAVITY * dt; vel[k + 2] *= d;
+            pos[k] += vel[k] * dt; pos[k + 1] += vel[k + 1] * dt; pos[k + 2] += vel[k + 2] * dt;
+
+            const base = i * TRAIL;
+            if (shiftTrail) trailPos.copyWithin((base + 1) * 3, base * 3, (base + TRAIL - 1) * 3);
+            trailPos[base * 3] = pos[k]; trailPos[base * 3 + 1] = pos[k + 1]; trailPos[base * 3 + 2] = pos[k + 2];
+
+            // Fade out over the last part of the life, with a late crackle
+            const f = life[i] / ttl[i];
+            let alpha = kind[i] === SHELL ? 1 : Math.min(1, f * 1.6);
+            if (kind[i] === SPARK && f < 0.35) alpha *= 0.5 + 0.5 * Math.random();
+            for (let j = 0; j < TRAIL; j++) {
+                const v = base + j;
+                vertAlpha[v] = alpha * (1 - j / TRAIL) * (j ? 0.6 : 1);
+                vertColor[v * 3] = tint[k]; vertColor[v * 3 + 1] = tint[k + 1]; vertColor[v * 3 + 2] = tint[k + 2];
+            }
+        }
+        geo.attributes.position.needsUpdate = true;
+        geo.attributes.aColor.needsUpdate = true;
+        geo.attributes.aAlpha.needsUpdate = true;
+        alive = 0;
+        for (let i = 0; i < POOL; i++) if (kind[i]) alive++;
+    }
+
+    window.addEventListener('keydown', (e)=>{
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.code === 'KeyB') launch();
+    });
+
+    return { launch, burstAt, update, active: () => alive > 0 };
+})();
+
+/**
+ * LIGHT PAINTING
+ */
+// While painting is on (I, or the Paint button), pointing with only the
+// index finger (GestureClassifier's POINT) leaves a glowing trail in the air
+// at the fingertip; a fist clears the drawing. The pen sits on a plane
+// through the tree facing the camera, pulled closer or pushed back with the
+// hand's distance (STATE.handDepth). Trail dots use the same orbTexture
+// additive look as the tree, fade after CONFIG.paintFadeSeconds (0 keeps
+// them until cleared) and live in one fixed pool; the oldest dots are
+// reused once it is full.
+//
+// Drawings save as JSON and replay at the pace they were drawn (Shift+I):
+//   { format: 'xmas-tree-painting', version: 1, savedAt, strokes: [
+//       { color: '#rrggbb', points: [[x, y, z, ms since the drawing began], ...] } ] }
+const LightPainting = (function(){
+    const FORMAT = 'xmas-tree-painting';
+    const VERSION = 1;
+    const POOL = 12000;                // trail dots
+    const SPACING = 0.035;             // world units between dots along a stroke
+    const DEPTH_REACH = 2;             // world units the pen moves toward the camera with the hand fully forward
+    const PEN_SMOOTHING = 20;          // per second; eases fingertip jitter
+    const GLOW_IN = 0.25;              // seconds a new dot glows brighter
+
+    const VERTEX_SHADER = /* glsl */`
+uniform float size;
+uniform float scale;
+uniform float time;
+uniform float fade;
+attribute vec3 aColor;
+attribute float aBorn;
+varying vec3 vColor;
+varying float vAlpha;
+
+#include <common>
+#include <fog_pars_vertex>
+
+void main() {
+    float age = time - aBorn;
+    vAlpha = aBorn < 0.0 ? 0.0 : (fade > 0.0 ? clamp(1.0 - age / fade, 0.0, 1.0) : 1.0);
+    float glow = 1.0 + 0.8 * (1.0 - clamp(age / ${GLOW_IN.toFixed(2)}, 0.0, 1.0));
+    vColor = aColor * glow;
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = size * glow * (0.5 + 0.5 * vAlpha) * (scale / -mvPosition.z);
+
+    #include <fog_vertex>
+}
+`;
+
+    const FRAGMENT_SHADER = /* glsl */`
+uniform sampler2D map;
+varying vec3 vColor;
+varying float vAlpha;
+
+#include <common>
+#include <fog_pars_fragment>
+
+void main() {
+    if (vAlpha < 0.01) discard;
+    gl_FragColor = vec4(vColor, vAlpha) * texture2D(map, vec2(gl_PointCoord.x, 1.0 - gl_PointCoord.y));
+    #include <fog_fragment>
+}
+`;
+
+    const button = document.getElementById('paint-btn');
+    const statusEl = document.getElementById('paint-status');
+    const positions = new Float32Array(POOL * 3);
+    const dotColors = new Float32Array(POOL * 3);
+    const born = new Float32Array(POOL).fill(-1);
+    let head = 0;                      // next dot to write
+    let used = 0;
+    let dirty = false;                 // dots changed since the last upload
+
+    const geo = new THREE.BufferGeometry();
+    geo.setAttribute('position', new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage));
+    geo.setAttribute('aColor', new THREE.BufferAttribute(dotColors, 3).setUsage(THREE.DynamicDrawUsage));
+    geo.setAttribute('aBorn', new THREE.BufferAttribute(born, 1).setUsage(THREE.DynamicDrawUsage));
+    const material = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([THREE.UniformsLib.fog, {
+            size: { value: CONFIG.paintSize },
+            scale: { value: 1 },
+            time: { value: 0 },
+            fade: { value: CONFIG.paintFadeSeconds },
+            map: { value: null }
+        }]),
+        vertexShader: VERTEX_SHADER,
+        fragmentShader: FRAGMENT_SHADER,
+        blending: THREE.AdditiveBlending,
+        transparent: true,
+        depthWrite: false,
+        fog: true
+    });
+    material.uniforms.map.value = orbTexture;
+    pointMaterials.push(material);
+    const points = new THREE.Points(geo, material);
+    points.frustumCulled = false;
+    points.visible = false;
+    scene.add(points);
+
+    let enabled = false;
+    let elapsed = 0;                   // seconds; the dots' clock
+    let strokes = [];                  // the drawing: { color, points: [[x, y, z, ms]] }
+    let drawingStart = -1;             // `elapsed` when the first stroke began (-1 = empty drawing)
+    let penNdc = null;                 // fingertip in NDC while pointing
+    let stroke = null;                 // stroke being drawn
+    const pen = new THREE.Vector3();
+    const last = new THREE.Vector3();  // last dot of the stroke being drawn (or replayed)
+    let replayState = null;            // { events, index, elapsed, speed, last }
+    const ray = new THREE.Raycaster();
+    const c = new THREE.Color();
+    const _v = new THREE.Vector3();
+    let statusTimer = null;
+
+    function setStatus(text, autoHideMs = 3000){
+        if (!statusEl) return;
+        statusEl.textContent = text || '';
+        if (statusTimer) { clearTimeout(statusTimer); statusTimer = null; }
+        if (text && autoHideMs) statusTimer = setTimeout(()=>{ statusEl.textContent = ''; }, autoHideMs);
+    }
+
+    function dot(x, y, z, color){
+        positions[head * 3] = x; positions[head * 3 + 1] = y; positions[head * 3 + 2] = z;
+        dotColors[head * 3] = color.r; dotColors[head * 3 + 1] = color.g; dotColors[head * 3 + 2] = color.b;
+        born[head] = elapsed;
+        head = (head + 1) % POOL;
+        used = Math.min(POOL, used + 1);
+        dirty = true;
+        points.visible = true;
+    }
+
+    // Dots from `from` to `to`, SPACING apart; returns where the last one went
+    function line(from, to, color){
+        const steps = Math.floor(from.distanceTo(to) / SPACING);
+        for (let s = 1; s <= steps; s++) {
+            _v.lerpVectors(from, to, s / steps);
+            dot(_v.x, _v.y, _v.z, color);
+        }
+        return steps ? from.copy(to) : from;
+    }
+
+    function strokeColor(hex){
+        return c.set(hex).multiplyScalar(1.4);   // above 1 so the bloom picks it up
+    }
+
+    function elapsedMs(){
+        if (drawingStart < 0) drawingStart = elapsed;
+        return Math.round((elapsed - drawingStart) * 1000);
+    }
+
+    // Where the fingertip points: on a camera-facing plane through the tree
+    function penTarget(ndc, target){
+        ray.setFromCamera(ndc, camera);
+        const depth = camera.position.length() - STATE.handDepth * DEPTH_REACH;
+        return ray.ray.at(Math.max(1, depth), target);
+    }
+
+    /** Fingertip in NDC while the hand points (null lifts the pen). */
+    function setPen(ndc){
+        penNdc = enabled && !replayState ? ndc : null;
+    }
+
+    function penDown(){
+        penTarget(penNdc, pen);
+        last.copy(pen);
+        stroke = { color: CONFIG.paintColor, points: [] };
+        strokes.push(stroke);
+        stroke.points.push([pen.x, pen.y, pen.z, elapsedMs()]);
+        dot(pen.x, pen.y, pen.z, strokeColor(stroke.color));
+    }
+
+    function drawPen(delta){
+        if (!penNdc) { stroke = null; return; }
+        if (!stroke) { penDown(); return; }
+        pen.lerp(penTarget(penNdc, _v), 1 - Math.exp(-delta * PEN_SMOOTHING));
+        if (pen.distanceTo(last) < SPACING) return;
+        stroke.points.push([pen.x, pen.y, pen.z, elapsedMs()]);
+        line(last, pen, strokeColor(stroke.color));
+    }
+
+    /** Remove every trail and forget the drawing. */
+    function clear(){
+        born.fill(-1);
+        dirty = true;
+        head = used = 0;
+        strokes = [];
+        stroke = null;
+        drawingStart = -1;
+        replayState = null;
+        points.visible = false;
+    }
+
+    function toJSON(){
+        const round = (v) => +v.toFixed(3);
+        return {
+            format: FORMAT,
+            version: VERSION,
+            savedAt: new Date().toISOString(),
+            strokes: strokes.map(s => ({
+                color: '#' + s.color.toString(16).padStart(6, '0'),
+                points: s.points.map(p => [round(p[0]), round(p[1]), round(p[2]), p[3]])
+            }))
+        };
+    }
+
+    /** Download the drawing as JSON; returns the drawing object. */
+    function save(){
+        const drawing = toJSON();
+        if (!drawing.strokes.length) { setStatus('Nothing drawn yet'); return drawing; }
+        try{
+            const blob = new Blob([JSON.stringify(drawing)], { type: 'application/json' });
+            downloadBlob(blob, 'light-painting-' + drawing.savedAt.replace(/[:.]/g, '-') + '.json');
+        }catch(e){ console.warn('Could not download light painting', e); }
+        return drawing;
+    }
+
+    function validate(drawing){
+        if (!drawing || drawing.format !== FORMAT) throw new Error('Not a light painting file');
+        if (drawing.version !== VERSION) throw new Error('Unsupported light painting version ' + drawing.version);
+        if (!Array.isArray(drawing.strokes)) throw new Error('Light painting has no strokes');
+        drawing.strokes.forEach(s => {
+            if (!Array.isArray(s.points) || !s.points.every(p => Array.isArray(p) && p.length === 4 && p.every(Number.isFinite))) {
+                throw new Error('Light painting has a malformed stroke');
+            }
+        });
+        return drawing;
+    }
+
+    async function load(source){
+        if (source instanceof Blob) return validate(JSON.parse(await source.text()));
+        if (typeof source !== 'string') return validate(source);
+        const res = await fetch(source);
+        if (!res.ok) throw new Error('HTTP ' + res.status + ' loading ' + source);
+        return validate(await res.json());
+    }
+
+    /**
+     * Clear and redraw a saved drawing (object, File/Blob or URL) at the
+     * pace it was drawn, `speed` times faster. Resolves once it has started.
+     */
+    async function replay(source, { speed = 1 } = {}){
+        const drawing = await load(source);
+        clear();
+        const events = [];
+        drawing.strokes.forEach(s => {
+            const color = new THREE.Color(s.color || CONFIG.paintColor).getHex();
+            const copy = { color, points: [] };
+            s.points.forEach((p, i) => events.push({ stroke: copy, first: i === 0, p }));
+        });
+        events.sort((a, b) => a.p[3] - b.p[3]);
+        replayState = { events, index: 0, elapsed: 0, speed: Math.max(0.1, speed) };
+        drawingStart = elapsed;
+        penNdc = null;
+    }
+
+    function stepReplay(delta){
+        const r = replayState;
+        r.elapsed += delta * 1000 * r.speed;
+        while (r.index < r.events.length && r.events[r.index].p[3] <= r.elapsed) {
+            const { stroke: s, first, p } = r.events[r.index++];
+            if (first) strokes.push(s);
+            s.points.push(p);
+            _v.set(p[0], p[1], p[2]);
+            if (first || !s.last) { s.last = _v.clone(); dot(p[0], p[1], p[2], strokeColor(s.color)); }
+            else line(s.last, _v, strokeColor(s.color));
+        }
+        if (r.index >= r.events.length) {
+            strokes.forEach(s => { delete s.last; });
+            replayState = null;
+        }
+    }
+
+    function update(delta){
+        elapsed += delta;
+        if (replayState) stepReplay(delta);
+        else drawPen(delta);
+        if (!points.visible) return;
+        material.uniforms.time.value = elapsed;
+        material.uniforms.size.value = CONFIG.paintSize;
+        material.uniforms.fade.value = CONFIG.paintFadeSeconds;
+        if (dirty) {
+            geo.attributes.position.needsUpdate = true;
+            geo.attributes.aColor.needsUpdate = true;
+            geo.attributes.aBorn.needsUpdate = true;
+            dirty = false;
+        }
+        // Everything has faded: stop drawing the pool until the next stroke
+        if (CONFIG.paintFadeSeconds > 0 && !stroke && !replayState && used && elapsed - born[(head + POOL - 1) % POOL] > CONFIG.paintFadeSeconds) {
+            points.visible = false;
+        }
+    }
+
+    function render(){
+        if (!button) return;
+        button.textContent = 'Paint: ' + (enabled ? 'On' : 'Off');
+        button.setAttribute('aria-pressed', String(enabled));
+    }
+
+    /** Turn painting on or off (toggles without an argument); drawings stay visible. */
+    function setEnabled(on = !enabled){
+        enabled = !!on;
+        if (!enabled) { penNdc = null; stroke = null; }
+        render();
+        return enabled;
+    }
+
+    async function pickAndReplay(){
+        const file = await pickFile('application/json,.json');
+        try{ await replay(file); setStatus('Replaying ' + file.name); }
+        catch(err){ setStatus('Replay failed: ' + (err && err.message ? err.message : String(err))); }
+    }
+
+    render();
+    if (button) button.addEventListener('click', () => setEnabled());
+    const bind = (id, fn) => { const el = document.getElementById(id); if (el) el.addEventListener('click', fn); };
+    bind('paint-save', save);
+    bind('paint-replay', pickAndReplay);
+    bind('paint-clear', clear);
+    window.addEventListener('keydown', (e)=>{
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.code === 'KeyI') {
+            if (e.shiftKey) pickAndReplay(); else setEnabled();
+        }
+    });
+
+    return {
+        setEnabled,
+        isEnabled: () => enabled,
+        setPen,
+        update,
+        clear,
+        save,
+        replay,
+        toJSON
+    };
+})();
+
+
+/**
+ * AUDIO HANDLING
+ */
+let audioCtxAllowed = false;
+let musicVolume = 0.5;       // music level before the crossfade (Playlist applies both)
+
+function fadeAudio(targetVolume) {
+    if (!audioEl) return;
+    // Simple manual lerp for volume
+    const diff = targetVolume - musicVolume;
+    if (Math.abs(diff) > 0.01) {
+        musicVolume += diff * 0.05;
+    } else {
+        musicVolume = targetVolume;
+    }
+    Playlist.applyVolumes();
+}
+
+let started = false;
+
+async function handleOverlayClick() {
+    if (started) return;
+    started = true;
+
+    // Keep the overlay visible until ReadyManager confirms both video
+    // and hand-tracking are ready. Provide subtle visual feedback only.
+    try{ overlay.style.opacity = '0.96'; }catch(e){}
+
+    // 解锁音频
+    audioCtxAllowed = true;
+
+    // mark that the user interacted (click) so we can allow unmuted playback
+    userInteracted = true;
+
+    // Do not auto-open file picker when using embedded background music.
+
+    const loadingEl = document.getElementById('loading');
+    if (loadingEl) {
+        loadingEl.style.display = 'block';
+        loadingEl.textContent = 'Initializing Neural Net & Graphics...';
+    }
+
+        // ✅ Initialize MediaPipe Hands and start the camera loop.
+        // Without a usable camera we fall back to mouse/touch/keyboard input
+        // (unless CONFIG.inputMode is 'hands') instead of staying stuck here.
+        const pointerFallback = CONFIG.inputMode !== 'hands';
+        if (REPLAY_URL) {
+            // Recorded session: no camera or hand model; the replayed frames mark hands ready
+            try {
+                const session = await SessionRecorder.load(REPLAY_URL);
+                // A session with an `expect` list doubles as a gesture check (result in the console)
+                if (session.expect) SessionRecorder.check(session);
+                SessionRecorder.replay(session, { loop: true });
+            } catch (err) {
+                console.error('Failed to load hand session', REPLAY_URL, err);
+                const loadingEl = document.getElementById('loading');
+                if (loadingEl) {
+                    loadingEl.style.display = 'block';
+                    loadingEl.textContent = 'Error loading hand session: ' + (err && err.message ? err.message : String(err));
+                }
+                ReadyManager.setHandsUnavailable('Replay failed — mouse / touch');
+            }
+        } else if (CONFIG.inputMode === 'pointer') {
+            ReadyManager.setHandsUnavailable('Pointer mode');
+        } else if (CONFIG.syncRole === 'follower') {
+            ReadyManager.setHandsUnavailable('Sync follower — driven by the leader');
+        } else {
+            try {
+                await initMediaPipeHands();
+            } catch (err) {
+                console.error('Failed to initialize MediaPipe Hands:', err);
+                const loadingEl = document.getElementById('loading');
+                if (loadingEl) {
+                    loadingEl.style.display = 'block';
+                    loadingEl.textContent = 'Error loading hand model: ' + (err && err.message ? err.message : String(err));
+                }
+                if (!pointerFallback) return;
+                ReadyManager.setHandsUnavailable('Unavailable — mouse / touch');
+            }
+
+            if (hands && mediaCamera) {
+                try {
+                    // The permission prompt (or a file-capture fallback) may never settle;
+                    // don't let it hold the experience hostage.
+                    const timedOut = await Promise.race([
+                        mediaCamera.start().then(() => false),
+                        new Promise(r => setTimeout(() => r(true), CONFIG.cameraStartTimeout))
+                    ]);
+                    if (timedOut) {
+                        console.warn('Camera did not start within', CONFIG.cameraStartTimeout, 'ms');
+                        if (pointerFallback) ReadyManager.setHandsUnavailable('No camera — mouse / touch');
+                    }
+                } catch (err) {
+                    console.error('Failed to start mediaCamera:', err);
+                    const loadingEl = document.getElementById('loading');
+                    if (loadingEl) {
+                        loadingEl.style.display = 'block';
+                        loadingEl.textContent = 'Error starting camera: ' + (err && err.message ? err.message : String(err));
+                    }
+                    if (pointerFallback) ReadyManager.setHandsUnavailable('No camera — mouse / touch');
+                }
+            }
+        }
+
+        // Since the user clicked to start, allow video sound and attempt playback
+        try {
+            if (videoEl) {
+                videoEl.muted = false;
+                videoEl.volume = 1.0;
+                // try to play in case it was previously blocked or paused
+                const p = videoEl.play();
+                if (p && p.then) p.catch(() => {});
+            }
+        } catch (e) {
+            console.warn('Could not unmute/play video immediately:', e);
+        }
+
+    // Analyse the music for the reactive visuals (needs this user gesture for the AudioContext)
+    AudioReactive.attach();
+
+    // 播放默认音乐（如果有）
+    if (audioEl && audioEl.src) {
+        try {
+            musicVolume = 0.5;
+            Playlist.applyVolumes();
+            await audioEl.play();
+        } catch (e) {
+            console.log('Audio will play after file selection');
         }
     }
 
     console.log('INTERACTIVE DREAM TREE STARTED');
 }
 
-overlay.addEventListener('click', handleOverlayClick);
-// Also listen for the inline fallback event in case the module loads after a user click
-document.addEventListener('user-start', handleOverlayClick);
+overlay.addEventListener('click', handleOverlayClick);
+// Also listen for the inline fallback event in case the module loads after a user click
+document.addEventListener('user-start', handleOverlayClick);
+
+// Background music playlist: local files added through "Choose BGM..." or
+// drag-and-drop join the embedded track in a queue with shuffle, repeat
+// (all / one / off) and equal-power crossfades between the two music decks.
+// Volumes are musicVolume (ducking, see fadeAudio) times each deck's
+// crossfade gain.
+const Playlist = (function(){
+    const REPEAT_MODES = ['all', 'one', 'off'];
+    const FADE_TICK_MS = 50;       // timer rather than rAF so fades finish in background tabs
+    const tracks = [];             // { name, url, objectUrl }
+    let order = [];                // play order (track objects); shuffled copy of `tracks` or the same order
+    let current = null;
+    let shuffle = false;
+    let repeat = 'all';
+    let active = 0;                // index into musicDecks of the deck in front
+    const gains = musicDecks.map((el, i) => (i === 0 ? 1 : 0));
+    let fade = null;               // { from, to, startedAt, ms, timer }
+    let errorStreak = 0;
+
+    const el = (id) => document.getElementById(id);
+    const toggleBtn = el('audio-toggle');
+    const statusEl = el('audio-status');
+    const shuffleBtn = el('audio-shuffle');
+    const repeatBtn = el('audio-repeat');
+    const queueBtn = el('audio-queue');
+    const queueEl = el('playlist-queue');
+
+    function applyVolumes(){
+        musicDecks.forEach((deck, i) => {
+            deck.volume = Math.max(0, Math.min(1, musicVolume * gains[i]));
+        });
+    }
+
+    function shuffled(list){
+        const copy = list.slice();
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+
+    // Keep `order` in step with `tracks`; a fresh shuffle puts the current track first
+    function rebuildOrder(reshuffle){
+        if (!shuffle) { order = tracks.slice(); return; }
+        if (reshuffle) {
+            order = shuffled(tracks.filter(t => t !== current));
+            if (current) order.unshift(current);
+        } else {
+            order = order.filter(t => tracks.includes(t));
+            tracks.forEach(t => { if (!order.includes(t)) order.push(t); });
+        }
+    }
+
+    function neighbour(step){
+        if (!order.length) return null;
+        const pos = order.indexOf(current);
+        const next = pos + step;
+        if (next >= 0 && next < order.length) return order[next];
+        if (repeat === 'off') return null;
+        if (step > 0 && shuffle) {
+            // New round: reshuffle, but don't repeat the track that just played
+            order = shuffled(tracks);
+            if (order.length > 1 && order[0] === current) order.push(order.shift());
+            return order[0];
+        }
+        return order[(next + order.length) % order.length];
+    }
+
+    // Let the browser loop natively when the same track is all that can come next
+    function updateLoop(){
+        const deck = musicDecks[active];
+        if (deck) deck.loop = repeat === 'one' || (repeat === 'all' && tracks.length === 1);
+    }
+
+    function finishFade(){
+        if (!fade) return;
+        clearInterval(fade.timer);
+        const outgoing = musicDecks[fade.from];
+        gains[fade.from] = 0;
+        gains[fade.to] = 1;
+        fade = null;
+        outgoing.pause();
+        applyVolumes();
+    }
+
+    function tickFade(){
+        if (!fade) return;
+        const t = Math.min(1, (performance.now() - fade.startedAt) / fade.ms);
+        gains[fade.to] = Math.sin(t * Math.PI / 2);
+        gains[fade.from] = Math.cos(t * Math.PI / 2);
+        applyVolumes();
+        if (t >= 1) finishFade();
+    }
+
+    /**
+     * Start `track`, crossfading from whatever is playing. `crossfade: false`
+     * (or a paused player, or a single deck) switches immediately.
+     */
+    function play(track, { crossfade = true } = {}){
+        if (!track || !audioEl) return;
+        finishFade();
+        current = track;
+        musicUserPaused = false;
+        const from = active;
+        const canFade = crossfade && musicDecks.length > 1 && !musicDecks[from].paused && CONFIG.crossfadeSeconds > 0;
+        if (canFade) active = 1 - from;
+        const deck = musicDecks[active];
+        audioEl = deck;
+        if (deck.src !== track.url) deck.src = track.url;
+        else deck.currentTime = 0;
+        updateLoop();
+        if (canFade) {
+            gains[active] = 0;
+            fade = { from, to: active, startedAt: performance.now(), ms: CONFIG.crossfadeSeconds * 1000, timer: setInterval(tickFade, FADE_TICK_MS) };
+        } else {
+            musicDecks.forEach((d, i) => { gains[i] = i === active ? 1 : 0; if (d !== deck) d.pause(); });
+        }
+        applyVolumes();
+        deck.play().catch(err => console.log('Playback will start after user interaction:', err && err.message ? err.message : err));
+        render();
+    }
+
+    function next(){
+        const track = neighbour(1);
+        if (track) play(track);
+    }
+
+    function prev(){
+        // Like most players: a track that has been playing a while restarts first
+        if (audioEl && audioEl.currentTime > 3) { audioEl.currentTime = 0; return; }
+        const track = neighbour(-1);
+        if (track) play(track);
+    }
+
+    function pause(){
+        musicUserPaused = true;
+        finishFade();
+        musicDecks.forEach(d => d.pause());
+        render();
+    }
+
+    async function resume(){
+        musicUserPaused = false;
+        if (!current && tracks.length) { play(order[0] || tracks[0], { crossfade: false }); return; }
+        try{ await audioEl.play(); }
+        catch(e){ console.warn('Playback blocked or failed', e); setStatus('Playback blocked — click the page first'); }
+        render();
+    }
+
+    // Add local audio Files to the queue. The first one starts playing only
+    // when nothing is playing, so adding songs at a party doesn't cut one off.
+    function add(files){
+        const audio = Array.from(files || []).filter(f => f && f.type.startsWith('audio/'));
+        if (!audio.length) return 0;
+        const added = audio.map(f => {
+            const objectUrl = URL.createObjectURL(f);
+            return { name: f.name.replace(/\.[^.]+$/, ''), url: objectUrl, objectUrl };
+        });
+        tracks.push(...added);
+        rebuildOrder(false);
+        // A local file can always be analysed, even if the default track could not
+        if (started) AudioReactive.attach();
+        if (!started || !audioEl || audioEl.paused) {
+            play(added[0]);
+        } else {
+            updateLoop();          // a lone looping track now has others after it
+            render();
+        }
+        return added.length;
+    }
+
+    // Swap the whole queue for `entries` of { name, blob } (card bundles)
+    function replace(entries){
+        const old = tracks.splice(0);
+        current = null;
+        entries.forEach(entry => {
+            const objectUrl = URL.createObjectURL(entry.blob);
+            tracks.push({ name: entry.name, url: objectUrl, objectUrl });
+        });
+        rebuildOrder(true);
+        if (tracks.length) play(order[0], { crossfade: false });
+        else pause();
+        old.forEach(t => { if (t.objectUrl) URL.revokeObjectURL(t.objectUrl); });
+        updateLoop();
+        render();
+        return tracks.length;
+    }
+
+    function remove(track){
+        const i = tracks.indexOf(track);
+        if (i < 0) return;
+        const upNext = track === current ? neighbour(1) : null;
+        tracks.splice(i, 1);
+        rebuildOrder(false);
+        if (track === current) {
+            if (upNext && upNext !== track) play(upNext);
+            else { pause(); current = null; }
+        }
+        if (track.objectUrl) setTimeout(()=>URL.revokeObjectURL(track.objectUrl), (CONFIG.crossfadeSeconds + 1) * 1000);
+        updateLoop();
+        render();
+    }
+
+    function move(track, step){
+        const i = tracks.indexOf(track);
+        const j = i + step;
+        if (i < 0 || j < 0 || j >= tracks.length) return;
+        [tracks[i], tracks[j]] = [tracks[j], tracks[i]];
+        rebuildOrder(false);
+        render();
+    }
+
+    function setShuffle(on){
+        shuffle = !!on;
+        rebuildOrder(true);
+        render();
+    }
+
+    function setRepeat(mode){
+        if (!REPEAT_MODES.includes(mode)) throw new Error(`Unknown repeat mode "${mode}"`);
+        repeat = mode;
+        updateLoop();
+        render();
+    }
+
+    // --- UI ---
+    function setStatus(text){ if (statusEl) statusEl.textContent = text; }
+
+    function render(){
+        const deck = audioEl;
+        const playing = deck && !deck.paused;
+        if (toggleBtn) toggleBtn.textContent = playing ? 'Pause' : 'Play';
+        if (current) {
+            const pos = tracks.indexOf(current) + 1;
+            setStatus(`${playing ? 'Playing' : 'Paused'} — ${current.name}${tracks.length > 1 ? ` (${pos}/${tracks.length})` : ''}`);
+        } else {
+            setStatus(tracks.length ? 'Paused' : 'No audio file selected');
+        }
+        if (shuffleBtn) { shuffleBtn.setAttribute('aria-pressed', String(shuffle)); shuffleBtn.style.opacity = shuffle ? '1' : '0.55'; }
+        if (repeatBtn) {
+            repeatBtn.textContent = repeat === 'one' ? '🔂' : '🔁';
+            repeatBtn.title = 'Repeat: ' + repeat;
+            repeatBtn.style.opacity = repeat === 'off' ? '0.55' : '1';
+        }
+        renderQueue();
+    }
+
+    function renderQueue(){
+        if (!queueEl || queueEl.hidden) return;
+        queueEl.innerHTML = '';
+        tracks.forEach((track, i) => {
+            const li = document.createElement('li');
+            if (track === current) li.className = 'current';
+            const name = document.createElement('span');
+            name.className = 'track-name';
+            name.textContent = track.name;
+            name.title = 'Play ' + track.name;
+            name.addEventListener('click', ()=>play(track));
+            li.appendChild(name);
+            const button = (label, title, onClick, disabled) => {
+                const b = document.createElement('button');
+                b.textContent = label;
+                b.title = title;
+                b.disabled = !!disabled;
+                b.addEventListener('click', onClick);
+                li.appendChild(b);
+            };
+            button('▲', 'Move up', ()=>move(track, -1), i === 0);
+            button('▼', 'Move down', ()=>move(track, 1), i === tracks.length - 1);
+            button('✕', 'Remove', ()=>remove(track), tracks.length === 1);
+            queueEl.appendChild(li);
+        });
+    }
+
+    function bind(button, handler){ if (button) button.addEventListener('click', handler); }
+    bind(toggleBtn, ()=>{ if (audioEl && !audioEl.paused) pause(); else resume(); });
+    bind(el('audio-prev'), prev);
+    bind(el('audio-next'), next);
+    bind(shuffleBtn, ()=>setShuffle(!shuffle));
+    bind(repeatBtn, ()=>setRepeat(REPEAT_MODES[(REPEAT_MODES.indexOf(repeat) + 1) % REPEAT_MODES.length]));
+    bind(queueBtn, ()=>{
+        if (!queueEl) return;
+        queueEl.hidden = !queueEl.hidden;
+        queueBtn.setAttribute('aria-expanded', String(!queueEl.hidden));
+        renderQueue();
+    });
+    bind(el('audio-choose'), ()=>fileInput && fileInput.click());
+    if (fileInput) {
+        fileInput.addEventListener('change', ()=>{
+            add(fileInput.files);
+            fileInput.value = '';    // picking the same file again should add it again
+        });
+    }
+
+    // Drag-and-drop music anywhere on the page
+    FileDrop.register((file) => file.type.startsWith('audio/'), add);
+
+    musicDecks.forEach((deck, i) => {
+        deck.addEventListener('play', render);
+        deck.addEventListener('pause', render);
+        deck.addEventListener('playing', ()=>{ if (deck === audioEl) errorStreak = 0; });
+        // Start the crossfade early enough that it completes as the track ends
+        deck.addEventListener('timeupdate', ()=>{
+            if (deck !== audioEl || fade || deck.loop || !isFinite(deck.duration)) return;
+            const fadeAt = deck.duration - CONFIG.crossfadeSeconds;
+            if (CONFIG.crossfadeSeconds > 0 && fadeAt > CONFIG.crossfadeSeconds && deck.currentTime >= fadeAt) next();
+        });
+        deck.addEventListener('ended', ()=>{
+            if (deck !== audioEl) return;
+            const track = neighbour(1);
+            if (track) play(track, { crossfade: false });
+            else { musicUserPaused = true; render(); }   // end of a non-repeating queue
+        });
+        deck.addEventListener('error', ()=>{
+            if (deck !== audioEl) return;
+            console.error('bgm load error', deck.error);
+            setStatus(`Could not play ${current ? current.name : 'the music'} — choose another file`);
+            // Skip broken tracks, but stop once every track has failed
+            if (++errorStreak < tracks.length) next();
+        });
+        if (i > 0) deck.volume = 0;
+    });
+
+    // The embedded track is the first entry in the queue
+    if (audioEl && (audioEl.currentSrc || audioEl.src)) {
+        const url = audioEl.src || audioEl.currentSrc;
+        current = { name: decodeURIComponent(url.split('/').pop().replace(/\.[^.]+$/, '').replace(/\.bgm$/, '')), url, objectUrl: null };
+        tracks.push(current);
+        rebuildOrder(false);
+    }
+    updateLoop();
+    render();
+
+    return {
+        add,
+        play: (index) => play(tracks[index]),
+        next,
+        prev,
+        pause,
+        resume,
+        remove: (index) => remove(tracks[index]),
+        move: (index, step) => move(tracks[index], step),
+        setShuffle,
+        setRepeat,
+        applyVolumes,
+        replace,
+        tracks: () => tracks.map(t => t.name),
+        entries: () => tracks.map(t => ({ name: t.name, url: t.url })),
+        current: () => (current ? current.name : null)
+    };
+})();
+
 
-fileInput.addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (file) {
-        const objectUrl = URL.createObjectURL(file);
-        audioEl.src = objectUrl;
-        audioEl.play();
-    }
-});
 
 /**
  * MEDIAPIPE LOGIC
@@ -877,6 +4014,9 @@ const mediaCamera = (function(){
     let stream = null;
     let rafId = null;
     let running = false;
+    let targetFps = 30;       // frames per second sent to the hand model (see setFrameRate)
+    let lastSendAt = 0;
+    let latencyMs = 0;        // smoothed duration of hands.send(), read by QualityGovernor
 
     async function start() {
         if (running) return;
@@ -957,7 +4097,7 @@ const mediaCamera = (function(){
                     if (!stream) return;
                     const videoTrack = stream.getVideoTracks && stream.getVideoTracks()[0];
                     if (!videoTrack || typeof videoTrack.applyConstraints !== 'function') return;
-                    const upgrade = { width: { ideal: 1280 }, height: { ideal: 720 }, frameRate: { ideal: 30 } };
+                    const upgrade = { width: { ideal: 1280 }, height: { ideal: 720 }, frameRate: { ideal: targetFps } };
                     await videoTrack.applyConstraints(upgrade).catch(()=>{});
                     console.log('Attempted to upgrade camera constraints for higher-res preview');
                 } catch (e) {
@@ -972,14 +4112,20 @@ const mediaCamera = (function(){
                     // Guard: only send frames when the input video has valid dimensions
                     const ready = inputVideo && typeof inputVideo.readyState !== 'undefined' && inputVideo.readyState >= 2;
                     const hasSize = inputVideo && inputVideo.videoWidth && inputVideo.videoHeight;
-                    if (!ready || !hasSize || !hands) {
+                    const now = performance.now();
+                    if (now - lastSendAt < 1000 / targetFps - 4) {
+                        // Throttled: the current quality tier wants fewer hand-model frames
+                    } else if (!ready || !hasSize || !hands) {
                         // Avoid sending empty frames (ROI width/height must be > 0)
                         // Show a gentle loading message until frames are available
                         const loadingEl = document.getElementById('loading');
                         if (loadingEl) { loadingEl.style.display = 'block'; loadingEl.textContent = 'Waiting for camera frames...'; }
                     } else {
                         // send only when video has valid pixel dimensions
+                        lastSendAt = now;
                         await hands.send({ image: inputVideo });
+                        const took = performance.now() - now;
+                        latencyMs = latencyMs ? latencyMs * 0.8 + took * 0.2 : took;
                     }
                 } catch (err) {
                             console.error('Error sending frame to MediaPipe Hands:', err);
@@ -1054,9 +4200,26 @@ const mediaCamera = (function(){
             stream.getTracks().forEach(t => t.stop());
             stream = null;
         }
+        latencyMs = 0;
+    }
+
+    // Limit how often frames are sent to MediaPipe and ask the camera for the
+    // same rate (best-effort; not every camera honours frameRate constraints)
+    function setFrameRate(fps) {
+        targetFps = Math.max(1, fps);
+        const videoTrack = stream && stream.getVideoTracks && stream.getVideoTracks()[0];
+        if (videoTrack && typeof videoTrack.applyConstraints === 'function') {
+            videoTrack.applyConstraints({ frameRate: { ideal: targetFps } }).catch(()=>{});
+        }
     }
 
-    return { start, stop };
+    return {
+        start,
+        stop,
+        setFrameRate,
+        isRunning: () => running,
+        getLatency: () => latencyMs    // ms per hands.send(), 0 while the camera is off
+    };
 })();
 
 // Note: call `mediaCamera.start()` only after user interaction (see handleOverlayClick)
@@ -1083,72 +4246,1285 @@ window.addEventListener('unhandledrejection', (ev) => {
     }
 });
 
-function onHandsResults(results) {
+/**
+ * GESTURE CLASSIFICATION
+ */
+// Turns raw hand landmarks into a stable OPEN / CLOSED / POINT / PINCH gesture
+// (POINT: only the index finger extended).
+// Distances are divided by the palm size (wrist to middle-finger knuckle) so
+// small hands or hands far from the camera read the same as close ones. A new
+// reading has to clear a hysteresis band and persist for CONFIG.gestureHoldMs
+// before it is committed, and per-user thresholds from `calibrate()` are kept
+// in localStorage.
+const GestureClassifier = (function(){
+    const STORAGE_KEY = 'xmasTree.gestureCalibration';
+    // Fingertip-to-wrist distance in palm lengths: ~1.0 for a fist, ~1.9 for an open palm
+    const DEFAULTS = { closedBelow: 1.25, openAbove: 1.6, pinchBelow: 0.3 };
+    const HYSTERESIS = 0.08;       // extra margin needed to leave the committed state
+    const PINCH_RELEASE = 1.5;     // a pinch releases once the gap grows past pinchBelow * this
+    const POINT_INDEX_ABOVE = 1.55;  // POINT: index tip at least this far from the wrist...
+    const POINT_OTHERS_BELOW = 1.3;  // ...while the middle, ring and pinky tips are all closer than this
+    const TIPS = [8, 12, 16, 20];  // Index, Middle, Ring, Pinky
+
+    let thresholds = loadThresholds();
+    const trackers = new Map();    // per-hand debounce state, keyed by handedness
+    let sampleSink = null;         // set while calibrating
+    let sampleKey = null;          // the one hand being calibrated (the first seen)
+
+    function newTracker(){
+        return {
+            stable: 'NONE',        // committed OPEN / CLOSED / POINT / NONE
+            candidate: 'NONE',
+            candidateSince: 0,
+            pinching: false,
+            pinchCandidateSince: 0,
+            fistSeenAt: 0,         // last frame that read as a fist
+            openingMs: Infinity    // fist -> open reading time of the current OPEN candidate
+        };
+    }
+
+    function trackerFor(key){
+        let t = trackers.get(key);
+        if (!t) { t = newTracker(); trackers.set(key, t); }
+        return t;
+    }
+
+    function loadThresholds(){
+        try{
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved && saved.closedBelow < saved.openAbove && saved.pinchBelow > 0) return Object.assign({}, DEFAULTS, saved);
+        }catch(e){ /* ignore unreadable storage */ }
+        return Object.assign({}, DEFAULTS);
+    }
+
+    function dist2D(a, b){ return Math.hypot(a.x - b.x, a.y - b.y); }
+
+    // Scale-free hand measurements
+    function measure(landmarks){
+        const palm = Math.max(dist2D(landmarks[0], landmarks[9]), 1e-4);
+        const reach = TIPS.map(idx => dist2D(landmarks[0], landmarks[idx]) / palm);
+        return {
+            palm,
+            openness: reach.reduce((sum, r) => sum + r, 0) / TIPS.length,
+            index: reach[0],
+            others: Math.max(reach[1], reach[2], reach[3]),
+            pinch: dist2D(landmarks[4], landmarks[8]) / palm
+        };
+    }
+
+    // How far past its threshold a reading is, 0..1 (0.5 right at the threshold)
+    function confidenceFor(gesture, m){
+        const band = thresholds.openAbove - thresholds.closedBelow;
+        if (gesture === 'OPEN') return THREE.MathUtils.clamp(0.5 + (m.openness - thresholds.openAbove) / band, 0, 1);
+        if (gesture === 'CLOSED') return THREE.MathUtils.clamp(0.5 + (thresholds.closedBelow - m.openness) / band, 0, 1);
+        if (gesture === 'PINCH') return THREE.MathUtils.clamp(1 - 0.5 * m.pinch / thresholds.pinchBelow, 0, 1);
+        if (gesture === 'POINT') return THREE.MathUtils.clamp(0.5 + Math.min(m.index - POINT_INDEX_ABOVE, POINT_OTHERS_BELOW - m.others) / band, 0, 1);
+        return 0;
+    }
+
+    // Raw reading for this frame; the committed state pushes its own exit threshold outward
+    function readOpenness(openness, stable){
+        const closedBelow = thresholds.closedBelow - (stable === 'OPEN' ? HYSTERESIS : 0);
+        const openAbove = thresholds.openAbove + (stable === 'CLOSED' ? HYSTERESIS : 0);
+        if (openness < closedBelow) return 'CLOSED';
+        if (openness > openAbove) return 'OPEN';
+        return stable; // neutral band: keep whatever was committed
+    }
+
+    /**
+     * Classify one frame of landmarks. Returns the committed gesture
+     * ('OPEN', 'CLOSED', 'POINT', 'PINCH' or 'NONE'), the committed hand shape
+     * (`hand`, never 'PINCH'), the gesture's confidence and edge flags:
+     * `changed` when OPEN/CLOSED/POINT was just committed, `pinchStarted` on the
+     * first frame of a committed pinch and `burst` when a fist was flung open
+     * within CONFIG.burstMaxMs. Each `key` (one per tracked hand) debounces
+     * independently.
+     */
+    function classify(landmarks, now, key = 'primary'){
+        const t = trackerFor(key);
+        const m = measure(landmarks);
+        if (sampleSink) {
+            // With two hands in view only one feeds the samples, or both would blur the median
+            if (sampleKey === null) sampleKey = key;
+            if (key === sampleKey) sampleSink(m);
+        }
+
+        let changed = false;
+        const previous = t.stable;
+        // A lone index finger reads as POINT before openness is considered
+        // (its average alone would read as a fist)
+        const pointing = m.index > POINT_INDEX_ABOVE && m.others < POINT_OTHERS_BELOW;
+        if (!pointing && m.openness < thresholds.closedBelow) t.fistSeenAt = now;
+        const reading = pointing ? 'POINT' : readOpenness(m.openness, t.stable === 'POINT' ? 'NONE' : t.stable);
+        if (reading !== t.stable) {
+            if (reading !== t.candidate) {
+                t.candidate = reading;
+                t.candidateSince = now;
+                if (reading === 'OPEN') t.openingMs = now - t.fistSeenAt;
+            }
+            if (now - t.candidateSince >= CONFIG.gestureHoldMs) { t.stable = reading; changed = true; }
+        } else {
+            t.candidate = t.stable;
+        }
+        // A fist flung open (rather than slowly relaxed) is a burst
+        const burst = changed && previous === 'CLOSED' && t.stable === 'OPEN' && t.openingMs <= CONFIG.burstMaxMs;
+
+        let pinchStarted = false;
+        const pinchLimit = thresholds.pinchBelow * (t.pinching ? PINCH_RELEASE : 1);
+        if (m.pinch < pinchLimit) {
+            if (!t.pinching) {
+                if (!t.pinchCandidateSince) t.pinchCandidateSince = now;
+                if (now - t.pinchCandidateSince >= CONFIG.pinchHoldMs) { t.pinching = true; pinchStarted = true; }
+            }
+        } else {
+            t.pinching = false;
+            t.pinchCandidateSince = 0;
+        }
+
+        const gesture = t.pinching ? 'PINCH' : t.stable;
+        return { gesture, hand: t.stable, confidence: confidenceFor(gesture, m), openness: m.openness, pinch: m.pinch, palm: m.palm, changed, pinchStarted, burst };
+    }
+
+    // Hands left the frame: forget them so re-acquisition starts fresh.
+    // With `keepKeys`, only hands not in that list are forgotten.
+    function reset(keepKeys){
+        if (!keepKeys) { trackers.clear(); return; }
+        for (const key of Array.from(trackers.keys())) {
+            if (!keepKeys.includes(key)) trackers.delete(key);
+        }
+    }
+
+    function median(values){
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    // Collect openness readings for `ms` after a short settle delay
+    function collect(ms){
+        return new Promise(resolve => {
+            const samples = [];
+            setTimeout(()=>{
+                sampleSink = (m) => samples.push(m.openness);
+                setTimeout(()=>{ sampleSink = null; resolve(samples); }, ms);
+            }, 700);
+        });
+    }
+
+    let calibrating = false;
+
+    /**
+     * Two-step calibration ("show an open palm", "now a fist") of the first
+     * hand seen; a second hand in view is ignored. Stores the
+     * resulting thresholds for this browser. `onPrompt(text, step, steps)` is
+     * called for every instruction; resolves with the new thresholds.
+     */
+    async function calibrate(onPrompt){
+        if (calibrating) throw new Error('Calibration already running');
+        calibrating = true;
+        sampleKey = null;
+        try{
+            const say = onPrompt || (()=>{});
+            say('Show an open palm ✋ / 张开手掌', 1, 2);
+            const open = await collect(2000);
+            say('Now make a fist ✊ / 握拳', 2, 2);
+            const fist = await collect(2000);
+            if (open.length < 8 || fist.length < 8) throw new Error('No hand seen — stay in front of the camera');
+            const openM = median(open);
+            const fistM = median(fist);
+            if (openM - fistM < 0.3) throw new Error('Open palm and fist looked too similar — try again');
+            thresholds = Object.assign({}, thresholds, {
+                closedBelow: fistM + (openM - fistM) * 0.35,
+                openAbove: fistM + (openM - fistM) * 0.65
+            });
+            try{ localStorage.setItem(STORAGE_KEY, JSON.stringify(thresholds)); }catch(e){ console.warn('Could not store calibration', e); }
+            reset();
+            return Object.assign({}, thresholds);
+        } finally {
+            sampleSink = null;
+            calibrating = false;
+        }
+    }
+
+    function resetCalibration(){
+        thresholds = Object.assign({}, DEFAULTS);
+        try{ localStorage.removeItem(STORAGE_KEY); }catch(e){}
+    }
+
+    return {
+        classify,
+        reset,
+        calibrate,
+        resetCalibration,
+        isCalibrating(){ return calibrating; },
+        getThresholds(){ return Object.assign({}, thresholds); }
+    };
+})();
+
+// Calibration UI: the "Calibrate" button or the C key (Shift+C restores defaults)
+(function(){
+    const panel = document.getElementById('calibration-panel');
+    const text = document.getElementById('calibration-text');
+    const button = document.getElementById('calibrate-btn');
+    let hideTimer = null;
+
+    function show(msg, autoHideMs){
+        if (!panel || !text) return;
+        text.textContent = msg;
+        panel.style.display = 'block';
+        if (hideTimer) { clearTimeout(hideTimer); hideTimer = null; }
+        if (autoHideMs) hideTimer = setTimeout(()=>{ panel.style.display = 'none'; }, autoHideMs);
+    }
+
+    async function runCalibration(){
+        if (GestureClassifier.isCalibrating()) return;
+        if (!hands || CONFIG.inputMode === 'pointer') {
+            show('Hand tracking is not running — start the camera first.', 2500);
+            return;
+        }
+        try{
+            await GestureClassifier.calibrate((msg, step, steps) => show(`(${step}/${steps}) ${msg}`));
+            show('Calibrated ✓ / 校准完成', 1800);
+        }catch(err){
+            show('Calibration failed: ' + (err && err.message ? err.message : String(err)), 3500);
+        }
+    }
+
+    if (button) button.addEventListener('click', runCalibration);
+    window.addEventListener('keydown', (e)=>{
+        if (e.code !== 'KeyC' || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.shiftKey) {
+            GestureClassifier.resetCalibration();
+            show('Gesture calibration reset / 已恢复默认', 1500);
+        } else {
+            runCalibration();
+        }
+    });
+})();
+
+// Two-hand gestures: spreading both hands apart zooms the camera (TREE) or
+// widens the scatter cloud (SCATTER); bringing both palms together snaps
+// back into the tree and undoes the zoom/spread made during that gesture.
+// Pinching with both hands takes a snapshot: a pinch by one of the two hands
+// waits briefly for the other before it counts as an ordinary pinch.
+const TwoHandGestures = (function(){
+    const TOGETHER_PALMS = 1.6;     // palm centers closer than this many palm lengths
+    const TOGETHER_HOLD_MS = 250;
+    const SPREAD_DEADZONE = 0.08;   // ignore spread changes under 8%
+    const BOTH_PINCH_MS = 250;      // the second hand has this long to join a pinch
+
+    let active = false;
+    let pendingPinch = null;        // { at, point } of a one-hand pinch waiting for the other hand
+    let baseSpread = 0, baseZoom = 1, baseScatter = 1;
+    let togetherSince = 0;
+    let snapped = false;
+
+    function rebase(spread){
+        baseSpread = spread;
+        baseZoom = STATE.cameraZoom;
+        baseScatter = STATE.scatterScale;
+    }
+
+    function update(a, b, now){
+        // Landmark 9 (middle-finger knuckle) is a stable palm center
+        const ca = a.landmarks[9], cb = b.landmarks[9];
+        const spread = Math.max(Math.hypot(ca.x - cb.x, ca.y - cb.y), 1e-4);
+        const palm = (a.classification.palm + b.classification.palm) / 2;
+        if (!active) { active = true; snapped = false; togetherSince = 0; rebase(spread); }
+
+        if (spread / palm < TOGETHER_PALMS) {
+            if (!togetherSince) togetherSince = now;
+            if (!snapped && now - togetherSince >= TOGETHER_HOLD_MS) {
+                snapped = true;
+                STATE.mode = STATE.assembledFormation;
+                STATE.scatterScale = 1;
+                STATE.cameraZoom = baseZoom;
+            }
+            STATE.gesture = 'PALMS_TOGETHER';
+            return;
+        }
+        togetherSince = 0;
+        // Pulling apart again after a snap starts a fresh spread from here
+        if (snapped) { snapped = false; rebase(spread); }
+
+        STATE.gesture = 'SPREAD';
+        const ratio = spread / baseSpread;
+        if (Math.abs(ratio - 1) < SPREAD_DEADZONE) return;
+        const factor = 1 + Math.sign(ratio - 1) * (Math.abs(ratio - 1) - SPREAD_DEADZONE);
+        if (STATE.mode === 'SCATTER') {
+            const [lo, hi] = CONFIG.twoHandScatterRange;
+            STATE.scatterScale = THREE.MathUtils.clamp(baseScatter * factor, lo, hi);
+        } else {
+            const [lo, hi] = CONFIG.twoHandZoomRange;
+            STATE.cameraZoom = THREE.MathUtils.clamp(baseZoom * factor, lo, hi);
+        }
+    }
+
+    function pinch(a, b, now){
+        const started = a.classification.pinchStarted ? a : (b.classification.pinchStarted ? b : null);
+        if (started) {
+            STATE.gesture = 'PINCH';
+            if (a.classification.gesture === 'PINCH' && b.classification.gesture === 'PINCH') {
+                pendingPinch = null;
+                Snapshot.capture();
+                return;
+            }
+            if (!pendingPinch) pendingPinch = { at: now, point: pinchPoint(started.landmarks) };
+        }
+        if (pendingPinch && now - pendingPinch.at >= BOTH_PINCH_MS) flushPinch();
+    }
+
+    // The other hand never joined: it was a one-hand pinch after all
+    function flushPinch(){
+        if (!pendingPinch) return;
+        const { point } = pendingPinch;
+        pendingPinch = null;
+        triggerPinch(point);
+    }
+
+    function release(){
+        active = false;
+        flushPinch();
+    }
+
+    return { update, pinch, release };
+})();
+
+// Smooths the tracked hand's position into STATE.handX (side to side),
+// STATE.handY (height) and STATE.handDepth (distance, from the apparent palm
+// size: + is closer to the camera). Each axis is -1..1 with a dead zone
+// around its rest value, so a resting hand doesn't make the scene swim.
+// Results set targets; `update()` eases toward them every frame. Mouse /
+// arrow-key steering writes STATE directly and takes precedence.
+const HandAxes = (function(){
+    const DEPTH_RANGE = 2;             // palm this many times the reference size (or 1/x) = full depth
+    const target = { x: 0, y: 0, depth: 0 };
+    const smooth = { x: 0, y: 0, depth: 0 };
+    let tracking = false;
+
+    function deadZone(v){
+        const dz = CONFIG.handDeadZone;
+        const a = Math.abs(v);
+        return a <= dz ? 0 : Math.sign(v) * Math.min(1, (a - dz) / (1 - dz));
+    }
+
+    /** Raw readings: x, y in -1..1 and the palm length (image units), or null palm to hold depth at rest. */
+    function setTarget(x, y, palm){
+        tracking = true;
+        target.x = deadZone(x);
+        target.y = deadZone(y);
+        target.depth = palm ? deadZone(Math.log(palm / CONFIG.handDepthReference) / Math.log(DEPTH_RANGE)) : 0;
+    }
+
+    // No hands: height and depth settle back to rest; x keeps its last value
+    // (rotation only follows it while a hand is detected)
+    function release(){
+        tracking = false;
+        target.y = 0;
+        target.depth = 0;
+    }
+
+    function update(delta){
+        const k = 1 - Math.exp(-delta / Math.max(CONFIG.handSmoothing, 1e-3));
+        smooth.x += (target.x - smooth.x) * k;
+        smooth.y += (target.y - smooth.y) * k;
+        smooth.depth += (target.depth - smooth.depth) * k;
+        STATE.handDepth = smooth.depth;
+        if (STATE.pointerActive) return;
+        if (tracking) STATE.handX = smooth.x;
+        STATE.handY = smooth.y;
+    }
+
+    return { setTarget, release, update };
+})();
+
+// `now` is the frame's time for the gesture debouncing: the live clock for
+// camera frames, the session's own clock for a replay (see SessionRecorder)
+function onHandsResults(results, now = performance.now()) {
     STATE.handDetected = false;
     // Mark hands ready on first results and let ReadyManager decide when to remove the overlay
     try{ ReadyManager.setHandsReady(); }catch(e){}
 
-    if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-        STATE.handDetected = true;
-        const landmarks = results.multiHandLandmarks[0];
+    const allLandmarks = (results.multiHandLandmarks || []).slice(0, CONFIG.maxHands);
+    const handedness = results.multiHandedness || [];
+
+    // Key each hand by its handedness so per-hand debouncing survives the two
+    // hands swapping places in MediaPipe's output order.
+    const keys = [];
+    STATE.hands = allLandmarks.map((landmarks, i) => {
+        const label = (handedness[i] && handedness[i].label) || ('Hand' + i);
+        const key = keys.includes(label) ? label + i : label;
+        keys.push(key);
+        const g = GestureClassifier.classify(landmarks, now, key);
+        return { key, handedness: label, landmarks, x: (landmarks[0].x - 0.5) * 2, y: (0.5 - landmarks[0].y) * 2, gesture: g.gesture, confidence: g.confidence, classification: g };
+    });
+    GestureClassifier.reset(keys);
+
+    if (STATE.hands.length !== 1) {
+        Gallery.trackHand(0, now, false);
+        Picker.setCursor(null);
+        LightPainting.setPen(null);
+    }
+    if (STATE.hands.length === 0) {
+        TwoHandGestures.release();
+        HandAxes.release();
+        STATE.gestureConfidence = 0;
+        return;
+    }
+    STATE.handDetected = true;
+
+    if (STATE.hands.length === 1) {
+        TwoHandGestures.release();
+        const hand = STATE.hands[0];
+        const g = hand.classification;
 
         // 1. Detect Hand Position (X) for Rotation
         // MediaPipe X is 0 (left) to 1 (right). Center is 0.5.
         // We map this to rotation speed or target angle.
-        // Let's map 0..1 to -PI..PI
-        const wrist = landmarks[0];
-        STATE.handX = (wrist.x - 0.5) * 2; // -1 to 1
-
-        // 2. Detect Gestures
-        
-        // Is Hand Open or Closed?
-        // Check if fingertips are above (y < mcp_y) or below knuckles? No, orientation varies.
-        // Better: Average distance of finger tips from wrist.
-        const tips = [8, 12, 16, 20]; // Index, Middle, Ring, Pinky
-        const wristPos = new THREE.Vector3(landmarks[0].x, landmarks[0].y, 0);
-        
-        let avgDist = 0;
-        tips.forEach(idx => {
-            const tipPos = new THREE.Vector3(landmarks[idx].x, landmarks[idx].y, 0);
-            avgDist += wristPos.distanceTo(tipPos);
+        // Smoothed with dead zones (HandAxes): x steers, y lifts the spiral band, palm size zooms
+        HandAxes.setTarget(hand.x, hand.y, g.palm);
+
+        // 2. Detect Gestures (palm-size normalized, debounced; see GestureClassifier)
+        STATE.gesture = g.gesture;
+        STATE.gestureConfidence = g.confidence;
+
+        // Only switch mode when a new OPEN/CLOSED is committed, so mouse/keyboard
+        // toggles aren't overridden every frame while a hand is resting in view.
+        // While light painting, a fist clears the drawing instead.
+        if (g.changed) {
+            if (g.hand === 'CLOSED' && LightPainting.isEnabled()) LightPainting.clear();
+            else if (g.hand === 'CLOSED') STATE.mode = STATE.assembledFormation;
+            else if (g.hand === 'OPEN') STATE.mode = 'SCATTER';
+        }
+        if (g.burst) Fireworks.launch();
+
+        // 3. Pinch (Index 8 and Thumb 4) fires once when it is committed
+        if (g.pinchStarted) triggerPinch(pinchPoint(hand.landmarks));
+
+        // 4. A quick sideways sweep of the open hand browses the memories
+        Gallery.trackHand(hand.x, now, STATE.mode === 'SCATTER' && g.gesture === 'OPEN');
+
+        // 5. The index fingertip points the 3D cursor (hover / pinch-to-select),
+        // and draws while it is the only finger out and painting is on
+        Picker.setCursor(fingertipPoint(hand.landmarks), g.hand === 'POINT');
+        LightPainting.setPen(g.gesture === 'POINT' ? fingertipPoint(hand.landmarks) : null);
+        return;
+    }
+
+    // Two hands: both steer rotation together, and two-hand gestures replace
+    // single-hand OPEN/CLOSED mode switching while both are visible.
+    const [a, b] = STATE.hands;
+    // The spread already zooms, so palm size doesn't while two hands are up
+    HandAxes.setTarget((a.x + b.x) / 2, (a.y + b.y) / 2, null);
+    STATE.gestureConfidence = Math.min(a.confidence, b.confidence);
+    TwoHandGestures.update(a, b, now);
+    // Both hands pinching takes a snapshot; a lone pinch fires once the other hand had its chance
+    TwoHandGestures.pinch(a, b, now);
+}
+
+/**
+ * HAND SESSION RECORD / REPLAY
+ */
+// Records the MediaPipe landmark stream to a JSON file and replays it through
+// `onHandsResults` with no camera or model loaded, for reproducible bug
+// reports and offline demos. R starts/stops a recording, Shift+R picks a
+// session file to replay (or stops a replay).
+//
+// Replayed frames carry their recorded time into the gesture classifiers, so
+// a session yields the same gestures however the frames are paced. A session
+// with an `expect` list is checked on load: its frames are run through once,
+// synchronously, and the resulting gesture sequence must match (see
+// sessions/open-fist-pinch.json, replayed with `?replay=sessions/open-fist-pinch.json`).
+//
+// Session format (version 1):
+//   { format: 'xmas-tree-hands', version: 1, recordedAt, frames: [
+//       { t: <ms since start>, multiHandLandmarks: [[{x,y,z}, ...21]], multiHandedness: [{label, score}] } ],
+//     expect: ['NONE', 'OPEN', ...] }   (optional: gestures per frame, repeats collapsed; two hands as 'OPEN+PINCH')
+const SessionRecorder = (function(){
+    const FORMAT = 'xmas-tree-hands';
+    const VERSION = 1;
+    const LOOP_GAP_MS = 33;        // session-clock gap between the last frame and the first of the next loop
+    const statusEl = document.getElementById('session-status');
+
+    let recording = null;          // { startedAt, frames }
+    let replayState = null;        // { frames, index, startedAt, clockBase, loop, speed, rafId }
+
+    function setStatus(text){
+        if (!statusEl) return;
+        statusEl.textContent = text || '';
+        statusEl.style.display = text ? 'block' : 'none';
+    }
+
+    const round = (v, digits) => (typeof v === 'number') ? +v.toFixed(digits) : v;
+
+    // Plain, compact copy of one MediaPipe result
+    function serializeFrame(results, t){
+        return {
+            t: Math.round(t),
+            multiHandLandmarks: (results.multiHandLandmarks || []).map(hand => hand.map(p => ({ x: round(p.x, 5), y: round(p.y, 5), z: round(p.z, 5) }))),
+            multiHandedness: (results.multiHandedness || []).map(h => ({ label: h.label, score: round(h.score, 3) }))
+        };
+    }
+
+    function startRecording(){
+        if (recording) return;
+        recording = { startedAt: performance.now(), frames: [] };
+        setStatus('● REC hands');
+    }
+
+    // Stops recording and downloads the session; returns the session object
+    function stopRecording(){
+        if (!recording) return null;
+        const session = { format: FORMAT, version: VERSION, recordedAt: new Date().toISOString(), frames: recording.frames };
+        recording = null;
+        setStatus('');
+        try{
+            const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+            downloadBlob(blob, 'hands-session-' + session.recordedAt.replace(/[:.]/g, '-') + '.json');
+        }catch(e){ console.warn('Could not download hand session', e); }
+        return session;
+    }
+
+    // Called for every live MediaPipe result
+    function capture(results){
+        if (recording) recording.frames.push(serializeFrame(results, performance.now() - recording.startedAt));
+    }
+
+    function validate(session){
+        if (!session || session.format !== FORMAT) throw new Error('Not a hand session file');
+        if (session.version !== VERSION) throw new Error('Unsupported hand session version ' + session.version);
+        if (!Array.isArray(session.frames) || !session.frames.length) throw new Error('Hand session has no frames');
+        if (session.expect !== undefined && !Array.isArray(session.expect)) throw new Error('Hand session `expect` must be a list of gestures');
+        return session;
+    }
+
+    async function load(source){
+        if (source instanceof Blob) return validate(JSON.parse(await source.text()));
+        const res = await fetch(source);
+        if (!res.ok) throw new Error('HTTP ' + res.status + ' loading ' + source);
+        return validate(await res.json());
+    }
+
+    function tick(){
+        const r = replayState;
+        if (!r) return;
+        const elapsed = (performance.now() - r.startedAt) * r.speed;
+        while (r.index < r.frames.length && r.frames[r.index].t <= elapsed) {
+            const f = r.frames[r.index++];
+            onHandsResults(resultsOf(f), r.clockBase + f.t);
+        }
+        if (r.index >= r.frames.length) {
+            if (!r.loop) { stopReplay(); return; }
+            r.index = 0;
+            r.startedAt = performance.now();
+            r.clockBase += r.frames[r.frames.length - 1].t + LOOP_GAP_MS;
+        }
+        r.rafId = requestAnimationFrame(tick);
+    }
+
+    function resultsOf(frame){
+        return { multiHandLandmarks: frame.multiHandLandmarks, multiHandedness: frame.multiHandedness || [] };
+    }
+
+    /**
+     * Run every frame of a session through `onHandsResults` at once, on the
+     * session's clock, and return the gestures seen (one entry per change).
+     * Ends with the hands released, like the end of a replay.
+     */
+    function run(session){
+        validate(session);
+        GestureClassifier.reset();
+        const clockBase = performance.now();
+        const gestures = [];
+        session.frames.forEach(f => {
+            onHandsResults(resultsOf(f), clockBase + f.t);
+            const gesture = STATE.hands.map(h => h.gesture).join('+') || 'NONE';
+            if (gestures[gestures.length - 1] !== gesture) gestures.push(gesture);
+        });
+        onHandsResults({ multiHandLandmarks: [], multiHandedness: [] }, clockBase + session.frames[session.frames.length - 1].t + LOOP_GAP_MS);
+        return gestures;
+    }
+
+    // Run a session and compare its gestures with its `expect` list: { ok, expected, actual }
+    function check(session){
+        const expected = session.expect;
+        const actual = run(session);
+        const ok = actual.length === expected.length && actual.every((g, i) => g === expected[i]);
+        if (ok) console.info('Hand session check passed:', actual.join(' → '));
+        else console.error('Hand session check failed: expected', expected.join(' → '), 'but got', actual.join(' → '));
+        return { ok, expected, actual };
+    }
+
+    /**
+     * Feed a session through `onHandsResults` at its recorded pace. Live
+     * camera results are ignored until the replay ends or `stopReplay()`.
+     */
+    function replay(session, { loop = false, speed = 1 } = {}){
+        validate(session);
+        stopReplay();
+        GestureClassifier.reset();
+        const now = performance.now();
+        replayState = { frames: session.frames, index: 0, startedAt: now, clockBase: now, loop, speed, rafId: null };
+        setStatus('▶ Replaying hands' + (loop ? ' (loop)' : ''));
+        tick();
+    }
+
+    function stopReplay(){
+        if (!replayState) return;
+        if (replayState.rafId) cancelAnimationFrame(replayState.rafId);
+        replayState = null;
+        setStatus(recording ? '● REC hands' : '');
+        // Release the replayed hands so rotation/gestures don't stick
+        onHandsResults({ multiHandLandmarks: [], multiHandedness: [] });
+    }
+
+    async function pickAndReplay(){
+        const file = await pickFile('application/json,.json');
+        try{ replay(await load(file)); }
+        catch(err){ setStatus('Replay failed: ' + (err && err.message ? err.message : String(err))); setTimeout(()=>setStatus(''), 3000); }
+    }
+
+    window.addEventListener('keydown', (e)=>{
+        if (e.code !== 'KeyR' || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.shiftKey) {
+            if (replayState) stopReplay(); else pickAndReplay();
+        } else if (recording) {
+            stopRecording();
+        } else {
+            startRecording();
+        }
+    });
+
+    return {
+        capture,
+        startRecording,
+        stopRecording,
+        load,
+        run,
+        check,
+        replay,
+        stopReplay,
+        isRecording(){ return !!recording; },
+        isReplaying(){ return !!replayState; }
+    };
+})();
+
+// Live MediaPipe results: recorded if a session is being captured, and
+// ignored while a recorded session is replaying.
+function onLiveHandsResults(results) {
+    if (SessionRecorder.isReplaying()) return;
+    SessionRecorder.capture(results);
+    onHandsResults(results, performance.now());
+}
+
+// Where a pinch happened, in NDC: midway between thumb and index tips,
+// mirrored like a selfie view
+function pinchPoint(landmarks) {
+    return { x: 1 - (landmarks[4].x + landmarks[8].x), y: 1 - (landmarks[4].y + landmarks[8].y) };
+}
+
+// Index fingertip in NDC, mirrored the same way (the hand cursor)
+function fingertipPoint(landmarks) {
+    return { x: 1 - landmarks[8].x * 2, y: 1 - landmarks[8].y * 2 };
+}
+
+// Shared PINCH action (hand pinch or long-press): an enlarged photo ornament
+// goes back first, then a pick target the hand cursor settled on (or, for
+// a long-press, the one under `point`, in NDC) is selected (see Picker).
+// Otherwise, in scatter mode play the video once it is visible; while
+// assembled, morph into the next formation.
+function triggerPinch(point) {
+    if (Ornaments.isOpen()) {
+        Ornaments.close();
+        return;
+    }
+    if (Picker.selectAt(point)) return;
+    if (STATE.mode === 'SCATTER') {
+        // Open the focused memory full-size (playing a video with sound), or close it again
+        if (STATE.videoOpacity > 0.8) Gallery.toggleOpen();
+        return;
+    }
+    nextFormation();
+}
+
+// Flip between the assembled formation and the scattered cloud
+function toggleMode() {
+    STATE.mode = (STATE.mode === 'SCATTER') ? STATE.assembledFormation : 'SCATTER';
+    STATE.gesture = (STATE.mode === 'SCATTER') ? 'OPEN' : 'CLOSED';
+}
+
+/**
+ * POINTER / TOUCH / KEYBOARD INPUT
+ */
+// Drives the same STATE fields as `onHandsResults` so the tree is usable
+// without a camera: drag to rotate, double-tap (or Space) toggles TREE/SCATTER,
+// long-press (or Enter) acts as PINCH and the arrow keys rotate. Runs
+// alongside hand tracking unless CONFIG.inputMode is 'hands'.
+const PointerInput = (function(){
+    const LONG_PRESS_MS = 550;
+    const DOUBLE_TAP_MS = 320;
+    const TAP_SLOP = 12;           // px a press may wander and still count as a tap
+    const FLICK_MS = 300;          // a faster horizontal drag than this...
+    const FLICK_PX = 80;           // ...covering at least this far browses the memories (SCATTER)
+    const enabled = CONFIG.inputMode !== 'hands';
+
+    let activeId = null;
+    let startX = 0, startY = 0, startTime = 0;
+    let moved = false;
+    let longPressTimer = null;
+    let longPressFired = false;
+    let lastTapTime = 0, lastTapX = 0, lastTapY = 0;
+    const arrowsDown = new Set();
+
+    function cancelLongPress(){
+        if (longPressTimer) { clearTimeout(longPressTimer); longPressTimer = null; }
+    }
+
+    // Nothing is steering any more: hand rotation back to idle
+    function releaseSteering(){
+        if (activeId !== null || arrowsDown.size) return;
+        STATE.pointerActive = false;
+        STATE.handX = 0;
+        STATE.handY = 0;
+    }
+
+    function onPointerDown(e){
+        if (activeId !== null) return;
+        activeId = e.pointerId;
+        startX = e.clientX; startY = e.clientY;
+        startTime = performance.now();
+        moved = false;
+        longPressFired = false;
+        STATE.pointerActive = true;
+        STATE.handX = 0;
+        STATE.handY = 0;
+        try{ e.target.setPointerCapture(e.pointerId); }catch(err){}
+        cancelLongPress();
+        longPressTimer = setTimeout(()=>{
+            longPressTimer = null;
+            if (moved) return;
+            longPressFired = true;
+            STATE.gesture = 'PINCH';
+            triggerPinch({ x: startX / window.innerWidth * 2 - 1, y: 1 - startY / window.innerHeight * 2 });
+        }, LONG_PRESS_MS);
+    }
+
+    function onPointerMove(e){
+        if (e.pointerId !== activeId) return;
+        const dx = e.clientX - startX;
+        const dy = e.clientY - startY;
+        if (!moved && Math.hypot(dx, dy) > TAP_SLOP) { moved = true; cancelLongPress(); }
+        if (!moved || CameraRig.ownsPointer()) return;   // orbit mode: OrbitControls has the drag
+        // Horizontal drag distance acts like the hand's offset from center:
+        // a quarter of the screen width is full rotation speed.
+        const span = Math.max(120, window.innerWidth * 0.25);
+        STATE.handX = THREE.MathUtils.clamp(dx / span, -1, 1);
+        STATE.handY = THREE.MathUtils.clamp(-dy / span, -1, 1);
+    }
+
+    function onPointerUp(e){
+        if (e.pointerId !== activeId) return;
+        cancelLongPress();
+        const isTap = !moved && !longPressFired && e.type === 'pointerup';
+        activeId = null;
+        releaseSteering();
+        const dx = e.clientX - startX;
+        if (moved && STATE.mode === 'SCATTER' && !CameraRig.ownsPointer() && performance.now() - startTime < FLICK_MS &&
+            Math.abs(dx) > FLICK_PX && Math.abs(dx) > Math.abs(e.clientY - startY)) {
+            Gallery.step(dx < 0 ? 1 : -1);   // flick left for the next memory
+        }
+        if (!isTap) return;
+        const now = performance.now();
+        const nearLast = Math.hypot(e.clientX - lastTapX, e.clientY - lastTapY) < TAP_SLOP * 3;
+        if (now - lastTapTime < DOUBLE_TAP_MS && nearLast) {
+            lastTapTime = 0;
+            toggleMode();
+        } else {
+            lastTapTime = now; lastTapX = e.clientX; lastTapY = e.clientY;
+        }
+    }
+
+    function onKeyDown(e){
+        if (isTypingTarget(e.target)) return;
+        // Space/Enter on a focused button or link activates that control, not the tree
+        const onPage = e.target === document.body || e.target === renderer.domElement;
+        if ((e.code === 'Space' || e.code === 'Enter') && !onPage) return;
+        // Keyboard-only kiosks: Space/Enter on the overlay starts the experience
+        if (!started) {
+            if (e.code === 'Space' || e.code === 'Enter') { e.preventDefault(); overlay.click(); }
+            return;
+        }
+        switch (e.code) {
+            case 'Space':
+                e.preventDefault();
+                if (!e.repeat) toggleMode();
+                break;
+            case 'Enter':
+                if (e.repeat) break;
+                STATE.gesture = 'PINCH';
+                triggerPinch();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                e.preventDefault();
+                arrowsDown.add(e.code);
+                STATE.pointerActive = true;
+                STATE.handX = arrowsDown.has('ArrowRight') && !arrowsDown.has('ArrowLeft') ? 1
+                    : (arrowsDown.has('ArrowLeft') && !arrowsDown.has('ArrowRight') ? -1 : 0);
+                break;
+        }
+    }
+
+    function onKeyUp(e){
+        if (!arrowsDown.delete(e.code)) return;
+        STATE.handX = arrowsDown.has('ArrowRight') ? 1 : (arrowsDown.has('ArrowLeft') ? -1 : 0);
+        releaseSteering();
+    }
+
+    if (enabled) {
+        const el = renderer.domElement;
+        // Let drags rotate the tree instead of scrolling/zooming the page on touch screens
+        el.style.touchAction = 'none';
+        el.addEventListener('pointerdown', onPointerDown);
+        el.addEventListener('pointermove', onPointerMove);
+        el.addEventListener('pointerup', onPointerUp);
+        el.addEventListener('pointercancel', onPointerUp);
+        window.addEventListener('keydown', onKeyDown);
+        window.addEventListener('keyup', onKeyUp);
+    }
+
+    return { enabled };
+})();
+
+/**
+ * HAND CURSOR & PICKING
+ */
+// The index fingertip (landmark 8) drives a glowing 3D cursor. Every frame
+// the cursor ray is tested against the registered pick targets; the nearest
+// hit is hovered (highlighted by its target), and a pinch selects what has
+// been hovered for a moment instead of the global PINCH action. A
+// long-press selects what is under the pointer.
+//
+// The star and the tree itself fill most of the assembled view, so they
+// are `pointOnly` targets: they only hover while the index finger alone
+// points (POINT, or just after it, so the pinch that follows still counts)
+// and a long-press never picks them. An ordinary pinch over the tree keeps
+// moving to the next formation.
+//
+// A target is `{ pick(raycaster, ndc) -> { distance, ref, point? } | null,
+// select(ref, hit), hover?(ref | null), pointOnly? }`;
+// `Picker.register(name, target)` adds one. Built in: the star (a burst of
+// sparks), the memory plane (open / close it), photo ornaments (enlarge)
+// and clusters of tree particles (a sparkle where they are).
+const Picker = (function(){
+    const CLUSTER_BANDS = 6;           // height bands x sectors of tree particles
+    const CLUSTER_SECTORS = 10;
+    const CLUSTER_RADIUS = 0.45;       // world units around a cluster center that the ray must pass
+    const STAR_RADIUS = 0.6;
+    const HOVER_DWELL_MS = 150;        // a pinch selects a hover at least this old
+    const POINT_GRACE_MS = 600;        // pointOnly targets stay pickable this long after POINT ends
+
+    const raycaster = new THREE.Raycaster();
+    const targets = new Map();         // name -> target
+    const highlights = new Map();      // name -> eased 0..1
+    let cursorNdc = null;              // fingertip in NDC while one hand is tracked
+    let hover = null;                  // { name, ref, distance, point }
+    let hoverSince = 0;
+    let pointedAt = -Infinity;         // last time the hand was pointing
+
+    const cursor = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: orbTexture, color: 0xffffff, transparent: true, opacity: 0.9,
+        blending: THREE.AdditiveBlending, depthTest: false, depthWrite: false
+    }));
+    cursor.renderOrder = 5;
+    cursor.visible = false;
+    scene.add(cursor);
+
+    const _v = new THREE.Vector3();
+    const _sphere = new THREE.Sphere();
+
+    /** Add (or replace) a pick target; see the comment above for its shape. */
+    function register(name, target){
+        if (!target || typeof target.pick !== 'function' || typeof target.select !== 'function') {
+            throw new Error('A pick target needs pick() and select()');
+        }
+        targets.set(name, target);
+        highlights.set(name, 0);
+    }
+
+    function unregister(name){
+        if (hover && hover.name === name) setHover(null);
+        targets.delete(name);
+        highlights.delete(name);
+    }
+
+    // Nearest hit among the targets for a screen point (pointOnly ones only when `pointing`)
+    function pickAt(ndc, pointing){
+        raycaster.setFromCamera(ndc, camera);
+        let best = null;
+        targets.forEach((target, name) => {
+            if (target.pointOnly && !pointing) return;
+            let hit = null;
+            try{ hit = target.pick(raycaster, ndc); }catch(err){ console.warn('Pick target', name, 'failed:', err && err.message ? err.message : err); }
+            if (hit && (!best || hit.distance < best.distance)) best = { name, ...hit };
+        });
+        return best;
+    }
+
+    function setHover(next){
+        const same = hover && next && hover.name === next.name && hover.ref === next.ref;
+        if (!same) {
+            if (hover && targets.get(hover.name).hover) targets.get(hover.name).hover(null);
+            if (next && targets.get(next.name).hover) targets.get(next.name).hover(next.ref);
+            hoverSince = performance.now();
+        }
+        hover = next;
+    }
+
+    const pointing = () => performance.now() - pointedAt < POINT_GRACE_MS;
+
+    /** Fingertip position in NDC (null hides the cursor); `isPointing` while only the index finger is out. */
+    function setCursor(ndc, isPointing = false){
+        cursorNdc = ndc;
+        if (ndc && isPointing) pointedAt = performance.now();
+    }
+
+    /**
+     * Select what the hand cursor has settled on or, with no cursor, whatever
+     * is at `point` (NDC, a long-press); returns whether something was
+     * selected, so the caller can fall back to its own action.
+     */
+    function selectAt(point){
+        let hit = null;
+        if (cursorNdc) hit = hover && performance.now() - hoverSince >= HOVER_DWELL_MS ? hover : null;
+        else if (point) hit = pickAt(point, false);
+        if (!hit) return false;
+        targets.get(hit.name).select(hit.ref, hit);
+        return true;
+    }
+
+    function update(delta){
+        const enabled = cursorNdc && CONFIG.handCursor;
+        setHover(enabled ? pickAt(cursorNdc, pointing()) : null);
+        const k = 1 - Math.exp(-delta * 10);
+        highlights.forEach((value, name) => highlights.set(name, value + ((hover && hover.name === name ? 1 : 0) - value) * k));
+
+        cursor.visible = !!enabled;
+        if (!enabled) return;
+        // On the hovered object, or level with the tree when pointing at nothing
+        if (hover && hover.point) cursor.position.copy(hover.point);
+        else {
+            raycaster.setFromCamera(cursorNdc, camera);
+            raycaster.ray.at(camera.position.length(), cursor.position);
+        }
+        const s = hover ? 0.45 : 0.3;
+        cursor.scale.setScalar(THREE.MathUtils.lerp(cursor.scale.x, s, k));
+        cursor.material.color.set(hover ? CONFIG.starColor : 0xffffff);
+    }
+
+    // --- Built-in targets ---
+
+    register('star', {
+        pointOnly: true,
+        pick(ray){
+            if (STATE.mode !== 'TREE') return null;
+            _sphere.set(_v.set(0, treeTopY, 0), STAR_RADIUS);
+            const point = ray.ray.intersectSphere(_sphere, new THREE.Vector3());
+            return point ? { ref: 'star', point, distance: point.distanceTo(camera.position) } : null;
+        },
+        select(){
+            Fireworks.burstAt(0, treeTopY, 0, { count: 180, color: CONFIG.starColor, speed: 0.8 });
+        }
+    });
+
+    register('memory', {
+        pick(ray){
+            if (STATE.mode !== 'SCATTER' || STATE.videoOpacity < 0.8) return null;
+            const hit = ray.intersectObject(videoPlane, false)[0];
+            return hit ? { ref: 'memory', point: hit.point, distance: hit.distance } : null;
+        },
+        select(){ Gallery.toggleOpen(); }
+    });
+
+    register('ornament', {
+        pick(ray, ndc){
+            const hit = Ornaments.pickAt(ndc);
+            return hit ? { ...hit, point: hit.ref.mesh.getWorldPosition(new THREE.Vector3()) } : null;
+        },
+        select(ref){ Ornaments.open(ref); },
+        hover(ref){ Ornaments.setHovered(ref); }
+    });
+
+    // Clusters of tree particles by height band and sector, rebuilt with the geometry
+    let clusters = [];                 // { center (local), indices }
+    let clusterGeometry = null;
+    let lit = null;                    // cluster drawn brighter while hovered
+
+    function buildClusters(){
+        clusterGeometry = geometry;
+        const buckets = new Map();
+        const h = CONFIG.treeHeight;
+        for (let i = 0; i < mainParticleCount; i++) {
+            const x = treePositions[i * 3], y = treePositions[i * 3 + 1], z = treePositions[i * 3 + 2];
+            const band = Math.min(CLUSTER_BANDS - 1, Math.floor((y + h / 2) / h * CLUSTER_BANDS));
+            const sector = Math.floor(((Math.atan2(z, x) / (Math.PI * 2)) + 1) % 1 * CLUSTER_SECTORS);
+            const key = band * CLUSTER_SECTORS + sector;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(i);
+        }
+        clusters = [];
+        buckets.forEach(indices => {
+            if (indices.length < 10) return;
+            const center = new THREE.Vector3();
+            indices.forEach(i => { center.x += treePositions[i * 3]; center.y += treePositions[i * 3 + 1]; center.z += treePositions[i * 3 + 2]; });
+            center.divideScalar(indices.length);
+            clusters.push({ center, indices });
+        });
+    }
+
+    function paintCluster(cluster, boost){
+        const attr = geometry.attributes.color;
+        if (!cluster || !attr) return;
+        cluster.indices.forEach(i => {
+            for (let k = 0; k < 3; k++) attr.array[i * 3 + k] = colors[i * 3 + k] * boost;
         });
-        avgDist /= 4;
+        attr.needsUpdate = true;
+    }
+
+    register('cluster', {
+        pointOnly: true,
+        pick(ray){
+            if (STATE.mode !== 'TREE') return null;
+            if (clusterGeometry !== geometry) { lit = null; buildClusters(); }
+            let best = null;
+            clusters.forEach(cluster => {
+                _v.copy(cluster.center).applyMatrix4(particleSystem.matrixWorld);
+                if (ray.ray.distanceSqToPoint(_v) > CLUSTER_RADIUS * CLUSTER_RADIUS) return;
+                const distance = _v.distanceTo(camera.position);
+                if (!best || distance < best.distance) best = { ref: cluster, point: _v.clone(), distance };
+            });
+            return best;
+        },
+        select(cluster, hit){
+            Fireworks.burstAt(hit.point.x, hit.point.y, hit.point.z, { count: 70, color: CONFIG.color, speed: 0.4 });
+        },
+        hover(cluster){
+            if (lit && clusterGeometry === geometry) paintCluster(lit, 1);
+            lit = cluster;
+            if (lit) paintCluster(lit, 1.8);
+        }
+    });
+
+    return {
+        register,
+        unregister,
+        setCursor,
+        selectAt,
+        update,
+        hovered: () => (hover ? hover.name : null),
+        highlight: (name) => highlights.get(name) || 0
+    };
+})();
+
+/**
+ * CAMERA RIG
+ */
+// Owns the camera. Modes:
+//   'static'    – the original framing at (0, 0, CAMERA_DISTANCE); two-hand spread and hand distance zoom
+//   'orbit'     – OrbitControls: drag to orbit, wheel / pinch-zoom to dolly (drags no longer turn the tree)
+//   'hand'      – the steering hand swings the camera around the tree (x) and tilts it (y); zoom as in static
+//   'cinematic' – plays a keyframed path (see PATHS / registerPath)
+// Every switch eases from wherever the camera is to the new mode's pose, and
+// the camera always looks at its target, so anything that faces the camera
+// (`videoPlane.lookAt`, the gallery, ornaments) keeps working from any
+// position. K (or the Camera button) cycles the modes; in cinematic mode
+// Shift+K steps through the paths.
+const CameraRig = (function(){
+    const MODES = ['static', 'orbit', 'hand', 'cinematic'];
+    const LABELS = { static: 'Static', orbit: 'Orbit', hand: 'Hand', cinematic: 'Cinematic' };
+    const TRANSITION_S = 1.6;
+    const HAND_SWING = Math.PI * 0.45;        // azimuth at full hand offset
+    const HAND_TILT = Math.PI * 0.18;         // elevation at full hand height
+
+    // Cinematic paths: `keys` are { pos, target } spread evenly over `duration`
+    // seconds and joined with Catmull-Rom curves; `closed` paths loop.
+    const PATHS = {
+        starPushIn: {
+            label: 'Push in to the star',
+            duration: 14,
+            keys: [
+                { pos: [0, 0, CAMERA_DISTANCE], target: [0, 0, 0] },
+                { pos: [2.5, 0.8, 7.5], target: [0, 0.8, 0] },
+                { pos: [1.2, 2.2, 4.5], target: [0, 2, 0] },
+                { pos: [0, treeTopY + 0.4, 2.2], target: [0, treeTopY, 0] }
+            ]
+        },
+        scatterOrbit: {
+            label: 'Orbit the scatter cloud',
+            duration: 28,
+            closed: true,
+            formation: 'SCATTER',
+            keys: Array.from({ length: 8 }, (_, i) => {
+                const a = i / 8 * Math.PI * 2;
+                return { pos: [Math.sin(a) * 15, Math.sin(a * 2) * 3, Math.cos(a) * 15], target: [0, 0, 0] };
+            })
+        }
+    };
+
+    const controls = new OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+    controls.dampingFactor = 0.08;
+    controls.minDistance = 3;
+    controls.maxDistance = 30;
+    controls.enabled = false;
+
+    const button = document.getElementById('camera-btn');
+    let mode = MODES.includes(CONFIG.cameraMode) ? CONFIG.cameraMode : 'static';
+    let distance = CAMERA_DISTANCE;           // smoothed dolly distance (static / hand)
+    let swing = 0, tilt = 0;                  // smoothed hand angles
+    let path = null;                          // { name, spec, posCurve, targetCurve, time }
+    let transition = null;                    // { fromPos, fromTarget, time }
+    const target = new THREE.Vector3();       // what the camera looks at
+    const pose = { pos: new THREE.Vector3(), target: new THREE.Vector3() };
+
+    function buildPath(name){
+        const spec = PATHS[name];
+        const curve = (key) => new THREE.CatmullRomCurve3(spec.keys.map(k => new THREE.Vector3(...k[key])), !!spec.closed, 'centripetal');
+        return { name, spec, posCurve: curve('pos'), targetCurve: curve('target'), time: 0 };
+    }
+
+    // Where the current mode wants the camera this frame
+    function modePose(delta){
+        // Two-hand spread and the hand's distance (HandAxes) both dolly
+        const zoomDistance = CAMERA_DISTANCE / (STATE.cameraZoom * Math.pow(CONFIG.handDepthZoom, STATE.handDepth));
+        distance = THREE.MathUtils.lerp(distance, zoomDistance, 0.08);
+        switch (mode) {
+            case 'orbit':
+                pose.pos.copy(camera.position);
+                pose.target.copy(controls.target);
+                break;
+            case 'hand': {
+                const steering = STATE.handDetected || STATE.pointerActive;
+                swing = THREE.MathUtils.lerp(swing, steering ? -STATE.handX * HAND_SWING : swing, 0.05);
+                tilt = THREE.MathUtils.lerp(tilt, steering ? STATE.handY * HAND_TILT : 0, 0.05);
+                pose.target.set(0, 0, 0);
+                pose.pos.set(Math.sin(swing) * Math.cos(tilt), Math.sin(tilt), Math.cos(swing) * Math.cos(tilt)).multiplyScalar(distance);
+                break;
+            }
+            case 'cinematic': {
+                if (!path) path = buildPath('starPushIn');
+                path.time += delta;
+                const t = path.spec.closed
+                    ? (path.time / path.spec.duration) % 1
+                    : Math.min(1, path.time / path.spec.duration);
+                // Ease in and out of open paths; loops run at a steady pace
+                const u = path.spec.closed ? t : t * t * (3 - 2 * t);
+                path.posCurve.getPointAt(u, pose.pos);
+                path.targetCurve.getPointAt(u, pose.target);
+                break;
+            }
+            default:
+                pose.pos.set(0, 0, distance);
+                pose.target.set(0, 0, 0);
+        }
+        return pose;
+    }
+
+    function update(delta){
+        if (mode === 'orbit' && controls.enabled) controls.update();
+        const p = modePose(delta);
+        if (transition) {
+            transition.time += delta;
+            const t = Math.min(1, transition.time / TRANSITION_S);
+            const k = t * t * (3 - 2 * t);
+            camera.position.lerpVectors(transition.fromPos, p.pos, k);
+            target.lerpVectors(transition.fromTarget, p.target, k);
+            if (t >= 1) {
+                transition = null;
+                // OrbitControls takes over from the pose the transition ended on
+                if (mode === 'orbit') { controls.target.copy(target); controls.enabled = true; controls.update(); }
+            }
+        } else if (mode !== 'orbit') {
+            camera.position.copy(p.pos);
+            target.copy(p.target);
+        } else {
+            target.copy(controls.target);
+        }
+        camera.lookAt(target);
+    }
 
-        // Determine Open vs Closed
-        // Threshold needs tuning, usually around 0.2 for closed, 0.4+ for open in normalized coords
-        const isClosed = avgDist < 0.25;
-        const isOpen = avgDist > 0.35;
+    function render(){
+        if (!button) return;
+        button.textContent = 'Camera: ' + LABELS[mode] + (mode === 'cinematic' && path ? ` (${path.spec.label})` : '');
+    }
 
-        if (isClosed) {
-            STATE.gesture = 'CLOSED';
-            STATE.mode = 'TREE';
-        } else if (isOpen) {
-            STATE.gesture = 'OPEN';
-            STATE.mode = 'SCATTER';
+    /** Switch camera mode ('static' | 'orbit' | 'hand' | 'cinematic'); returns false if unknown. */
+    function setMode(name){
+        if (!MODES.includes(name)) return false;
+        transition = { fromPos: camera.position.clone(), fromTarget: target.clone(), time: 0 };
+        if (name === 'orbit') {
+            // Start orbiting around what the camera was looking at
+            controls.target.copy(target);
         }
+        controls.enabled = false;              // re-enabled once the ease-in completes
+        if (name !== 'hand') { swing = 0; tilt = 0; }
+        mode = name;
+        if (mode === 'cinematic') play(path ? path.name : 'starPushIn', { keepTransition: true });
+        render();
+        return true;
+    }
 
-        // 3. Detect Pinch (Index 8 and Thumb 4)
-        const thumbTip = new THREE.Vector3(landmarks[4].x, landmarks[4].y, 0);
-        const indexTip = new THREE.Vector3(landmarks[8].x, landmarks[8].y, 0);
-        const pinchDist = thumbTip.distanceTo(indexTip);
+    /** Fly a cinematic path by name (switching to cinematic mode). */
+    function play(name, { keepTransition = false } = {}){
+        if (!PATHS[name]) return false;
+        path = buildPath(name);
+        if (path.spec.formation && Formations.has(path.spec.formation)) setFormation(path.spec.formation);
+        if (mode !== 'cinematic') return setMode('cinematic');
+        if (!keepTransition) transition = { fromPos: camera.position.clone(), fromTarget: target.clone(), time: 0 };
+        render();
+        return true;
+    }
 
-        if (pinchDist < 0.05) {
-            STATE.gesture = 'PINCH';
-            // Only toggle video if we are in scatter mode and video is visible
-            if (STATE.mode === 'SCATTER' && STATE.videoOpacity > 0.8) {
-                if (!STATE.isPlayingVideo) {
-                    STATE.isPlayingVideo = true;
-                    videoEl.play();
-                }
-            }
-        } else {
-            // If we release pinch, do we stop video? 
-            // The prompt says "Selects and plays". It doesn't explicitly say stop on release.
-            // But usually, if we switch back to TREE mode, video should hide/stop.
+    /** Add or replace a path: { label, duration, closed, formation, keys: [{ pos: [x,y,z], target: [x,y,z] }, ...] } */
+    function registerPath(name, spec){
+        if (!spec || !Array.isArray(spec.keys) || spec.keys.length < 2 || !(spec.duration > 0)) {
+            throw new Error('A camera path needs a duration and at least two keys');
         }
+        PATHS[name] = Object.assign({ label: name }, spec);
     }
-}
 
+    function cyclePath(){
+        const names = Object.keys(PATHS);
+        play(names[(names.indexOf(path ? path.name : '') + 1) % names.length]);
+    }
+
+    // A configured startup mode eases in from the default framing
+    if (mode !== 'static') { const initial = mode; mode = 'static'; setMode(initial); }
+    render();
+    if (button) button.addEventListener('click', () => setMode(MODES[(MODES.indexOf(mode) + 1) % MODES.length]));
+    window.addEventListener('keydown', (e)=>{
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.code !== 'KeyK') return;
+        if (e.shiftKey && mode === 'cinematic') cyclePath();
+        else setMode(MODES[(MODES.indexOf(mode) + 1) % MODES.length]);
+    });
+
+    return {
+        update,
+        setMode,
+        play,
+        registerPath,
+        mode: () => mode,
+        modes: () => MODES.slice(),
+        paths: () => Object.keys(PATHS),
+        // Drags orbit the camera instead of turning the tree
+        ownsPointer: () => mode === 'orbit',
+        // The steering hand moves the camera instead of turning the tree
+        ownsHand: () => mode === 'hand'
+    };
+})();
 
 /**
  * ANIMATION LOOP
@@ -1171,6 +5547,8 @@ function hideSwitchingIndicator(){
     try{ const el = document.getElementById('switching-indicator'); if (el) el.style.display = 'none'; if (__switchingTimer) { clearTimeout(__switchingTimer); __switchingTimer = null; } }catch(e){}
 }
 let __posterHidden = false; // track whether we've hidden the poster already
+let scatterScale = 1;        // smoothed STATE.scatterScale
+let bloomLevel = ORIGINAL_BLOOM_STRENGTH; // bloom before the music pulse is added
 
 function animate() {
     requestAnimationFrame(animate);
@@ -1179,7 +5557,7 @@ function animate() {
     const time = clock.getElapsedTime();
 
     // 1. Handle State Transitions
-    if (STATE.mode === 'TREE') {
+    if (STATE.mode !== 'SCATTER') {
         // Stop video if playing
         if (STATE.isPlayingVideo) {
             STATE.isPlayingVideo = false;
@@ -1192,30 +5570,43 @@ function animate() {
     const targetVol = STATE.isPlayingVideo ? 0 : 0.5;
     fadeAudio(targetVol);
 
-    // Dim particle light (bloom + particle opacity/size) when video plays
-    const targetParticleOpacity = STATE.isPlayingVideo ? ORIGINAL_PARTICLE_OPACITY * CONFIG.videoParticleDimFactor : ORIGINAL_PARTICLE_OPACITY;
-    material.opacity = THREE.MathUtils.lerp(material.opacity, targetParticleOpacity, CONFIG.videoParticleLerp);
+    // Music-reactive accents; none while a memory video plays over the music
+    const music = AudioReactive.update(delta);
+    const reactivity = STATE.isPlayingVideo ? 0 : CONFIG.audioReactivity;
 
-    const targetBloom = STATE.isPlayingVideo ? ORIGINAL_BLOOM_STRENGTH * CONFIG.videoParticleDimFactor : ORIGINAL_BLOOM_STRENGTH;
-    bloomPass.strength = THREE.MathUtils.lerp(bloomPass.strength, targetBloom, CONFIG.videoParticleLerp);
+    // Dim particle light (bloom + particle opacity/size) when video plays or a memory is open
+    const memoryDim = STATE.isPlayingVideo || Gallery.isOpen();
+    const targetParticleOpacity = memoryDim ? ORIGINAL_PARTICLE_OPACITY * CONFIG.videoParticleDimFactor : ORIGINAL_PARTICLE_OPACITY;
+    material.uniforms.opacity.value = THREE.MathUtils.lerp(material.uniforms.opacity.value, targetParticleOpacity, CONFIG.videoParticleLerp);
+
+    const targetBloom = memoryDim ? ORIGINAL_BLOOM_STRENGTH * CONFIG.videoParticleDimFactor : ORIGINAL_BLOOM_STRENGTH;
+    bloomLevel = THREE.MathUtils.lerp(bloomLevel, targetBloom, CONFIG.videoParticleLerp);
+    // Bass pulses the bloom, mids swell the particles
+    bloomPass.strength = bloomLevel * (1 + music.bass * 0.8 * reactivity);
+    material.uniforms.size.value = ORIGINAL_PARTICLE_SIZE * (1 + music.mid * 0.5 * reactivity);
 
     // 3. Video Plane Opacity
     let targetOpacity = (STATE.mode === 'SCATTER') ? CONFIG.videoDisplayOpacity : 0.0;
     STATE.videoOpacity = THREE.MathUtils.lerp(STATE.videoOpacity, targetOpacity, 0.05);
     videoPlane.material.opacity = STATE.videoOpacity;
     
-    // Scale video plane for pop-in effect; make it larger and clearer in SCATTER mode
-    const targetScale = (STATE.mode === 'SCATTER') ? 1.8 : 0; // larger multiplier when scattered
+    // Scale video plane for pop-in effect; make it larger and clearer in SCATTER mode,
+    // and fill the view while the memory is open
+    const targetScale = (STATE.mode === 'SCATTER') ? Gallery.focusScale() : 0;
     const scale = THREE.MathUtils.lerp(videoPlane.scale.x, targetScale, 0.08);
     videoPlane.scale.set(scale, scale, 1);
 
     // Dim video brightness smoothly when the video is playing to reduce glare
-    const targetBrightness = STATE.isPlayingVideo ? CONFIG.videoDimFactor : 1.0;
+    // (a little brighter while the hand cursor points at it)
+    const targetBrightness = (STATE.isPlayingVideo ? CONFIG.videoDimFactor : 1.0) * (1 + Picker.highlight('memory') * 0.25);
     // assume material.color r/g/b are equal; lerp the scalar brightness
     const currentBrightness = videoPlane.material.color.r;
     const newBrightness = THREE.MathUtils.lerp(currentBrightness, targetBrightness, CONFIG.videoDimLerp);
     videoPlane.material.color.setRGB(newBrightness, newBrightness, newBrightness);
     
+    // Slide the memory carousel and place the neighbouring memories
+    Gallery.update(delta, scale, STATE.videoOpacity);
+
     // Make video look at camera always
     videoPlane.lookAt(camera.position);
 
@@ -1223,12 +5614,10 @@ function animate() {
     if (STATE.mode !== _prevMode) {
         // Inform user of transition on mobile where CPU-bound switches may take time
         showSwitchingIndicator();
-        // entering SCATTER: try to autoplay the video (muted) for visual playback
-        if (STATE.mode === 'SCATTER' && videoEl) {
+        // entering SCATTER: try to autoplay the focused memory video (muted) for visual playback
+        const focusedMemory = Gallery.focused();
+        if (STATE.mode === 'SCATTER' && videoEl && (!focusedMemory || focusedMemory.type === 'video')) {
             try {
-                // ensure src is set from source element if present
-                const srcTag = videoEl.querySelector && videoEl.querySelector('source');
-                if (srcTag && srcTag.src) videoEl.src = srcTag.src;
                 // mute only if the user hasn't interacted yet; if they have, allow audio
                 videoEl.muted = !userInteracted; // mute to allow autoplay in browsers when needed
                 const p = videoEl.play();
@@ -1259,7 +5648,8 @@ function animate() {
             }
         }
 
-        // leaving SCATTER: pause video
+        // leaving SCATTER: pause video and put the open memory back
+        if (STATE.mode !== 'SCATTER') Gallery.close();
         if (STATE.mode !== 'SCATTER' && videoEl && !videoEl.paused) {
             try { videoEl.pause(); STATE.isPlayingVideo = false; } catch (e) { /* ignore */ }
         }
@@ -1321,8 +5711,9 @@ function animate() {
     }
 
     // 4. Update Rotation
-    // If hand is detected, rotate based on handX
-    if (STATE.handDetected) {
+    // If a hand (or a pointer drag / arrow key) is steering, rotate based on handX
+    HandAxes.update(delta);
+    if ((STATE.handDetected || STATE.pointerActive) && !CameraRig.ownsHand()) {
         // Map hand X (-1 to 1) to a rotation speed or target angle
         // Let's do simple continuous rotation influenced by hand position
         const targetRotY = STATE.handX * 2; // -2 to 2 radians
@@ -1332,122 +5723,1284 @@ function animate() {
         particleSystem.rotation.y += 0.002;
     }
 
-    // --- Update Spiral Positions (flowing upward band) ---
-    if (typeof spiralGeo !== 'undefined' && spiralGeo && spiralGeo.attributes && spiralGeo.attributes.position) {
-        const spiralPosAttr = spiralGeo.attributes.position;
-        const treeHeightSpan = CONFIG.treeHeight;
-        const treeTop = CONFIG.treeHeight / 2;
+    // Sync: the leader shares this rotation, a follower replaces it with the leader's
+    Sync.update(delta);
+
+    // Hand height raises or lowers the spiral band (the hand camera mode tilts with it instead)
+    const spiralLift = CameraRig.ownsHand() ? 0 : STATE.handY * CONFIG.handSpiralLift;
+    spiralSystem.position.y = THREE.MathUtils.lerp(spiralSystem.position.y, spiralLift, 0.1);
+
+    // Camera mode (static / orbit / hand / cinematic), including the hand and two-hand zoom
+    CameraRig.update(delta);
+    Picker.update(delta);
+    scatterScale = THREE.MathUtils.lerp(scatterScale, STATE.scatterScale, 0.08);
+
+    // Morph targets for the current formation (unknown or failing ones fall back to the tree)
+    let formationName = Formations.has(STATE.mode) ? STATE.mode : 'TREE';
+    let formation;
+    try {
+        formation = Formations.get(formationName);
+    } catch (err) {
+        console.warn('Formation', STATE.mode, 'failed to build:', err && err.message ? err.message : err);
+        STATE.mode = STATE.assembledFormation = formationName = 'TREE';
+        formation = Formations.get('TREE');
+    }
+
+    // Twinkle the Top Star (particle-based); beats flash it
+    const twinkle = 0.8 + Math.sin(time * 3) * 0.2;
+    starMaterial.uniforms.size.value = ORIGINAL_STAR_SIZE * (twinkle + music.beat * 0.8 * reactivity) * (1 + Picker.highlight('star') * 0.6);
+
+    // 5. Morph particles, spiral band and star toward the formation (on the GPU);
+    // beats also kick the spiral band upward
+    Morph.update(formationName, formation, delta, time, scatterScale, 1 + music.beat * 2 * reactivity);
+    Ornaments.update(delta, scatterScale);
+    Lights.update(time, music);
+    Fireworks.update(delta);
+    LightPainting.update(delta);
+    Snowfall.update(delta, time, STATE.mode === 'SCATTER', material.uniforms.opacity.value / ORIGINAL_PARTICLE_OPACITY);
+
+    // Render
+    composer.render();
+    VideoRecorder.frame();
+    QualityGovernor.frame(delta);
+}
+
+/**
+ * QUALITY GOVERNOR
+ */
+// Watches frame time and hand-tracking latency and steps the render quality
+// up or down through fixed tiers: particle count, pixel ratio, bloom
+// resolution and the frame rate fed to the hand model. Decisions are made
+// on 2 s averages, with a cooldown after every change, so a single hitch
+// (GC, a formation rebuild) does not flip tiers back and forth.
+// CONFIG.qualityTier pins a tier instead.
+const QualityGovernor = (function(){
+    const TIERS = [
+        { name: 'low',    particles: 0.4,  pixelRatio: 0.75, bloomScale: 0.5,  cameraFps: 12 },
+        { name: 'medium', particles: 0.75, pixelRatio: 1.0,  bloomScale: 0.75, cameraFps: 20 },
+        { name: 'high',   particles: 1,    pixelRatio: 1.5,  bloomScale: 1,    cameraFps: 30 },
+        { name: 'ultra',  particles: 2,    pixelRatio: 2,    bloomScale: 1,    cameraFps: 30 }
+    ];
+    const WINDOW_MS = 2000;
+    const SLOW_FRAME_MS = 22;       // ~45 fps: step down after two slow windows
+    const FAST_FRAME_MS = 17.5;     // holding ~57+ fps: step up after three fast windows
+    const SLOW_WINDOWS = 2;
+    const FAST_WINDOWS = 3;
+    const SLOW_HANDS_MS = 120;      // hand model falling behind counts as a slow window
+    const FAST_HANDS_MS = 60;       // ...and must be comfortably fast before stepping up
+    const COOLDOWN_MS = 4000;
+
+    const readout = document.getElementById('debug-readout');
+    let tierIndex = 2;
+    let windowMs = 0, windowFrames = 0;
+    let slowWindows = 0, fastWindows = 0;
+    let cooldownUntil = 0;
+    let frameMs = 0;                // smoothed frame time for the readout
+    let readoutMs = 0;
+    let showReadout = !!CONFIG.showDebug;
+    let bloomSize = { width: 1, height: 1 };   // bloom resolution last applied (Snapshot matches it)
+
+    function findTier(name){ return TIERS.findIndex(t => t.name === name); }
+    function isPinned(){ return findTier(CONFIG.qualityTier) >= 0; }
+
+    // Renderer, composer, bloom and point sizes for the current tier and window size
+    function applyRenderSize(){
+        const tier = TIERS[tierIndex];
+        const w = window.innerWidth, h = window.innerHeight;
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, tier.pixelRatio);
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(w, h);
+        composer.setPixelRatio(pixelRatio);
+        composer.setSize(w, h);
+        // composer.setSize() resized the bloom at full resolution; shrink it afterwards
+        bloomSize = { width: Math.round(w * pixelRatio * tier.bloomScale), height: Math.round(h * pixelRatio * tier.bloomScale) };
+        bloomPass.setSize(bloomSize.width, bloomSize.height);
+        setPointScale(h * pixelRatio);
+    }
+
+    function apply(index){
+        tierIndex = Math.max(0, Math.min(TIERS.length - 1, index));
+        const tier = TIERS[tierIndex];
+        applyRenderSize();
+        const count = Math.max(100, Math.round(CONFIG.particleCount * tier.particles));
+        if (count !== mainParticleCount) rebuildMainParticles(count);
+        mediaCamera.setFrameRate(tier.cameraFps);
+        resetWindow();
+        cooldownUntil = performance.now() + COOLDOWN_MS;
+        updateReadout();
+    }
+
+    function resetWindow(){
+        windowMs = 0;
+        windowFrames = 0;
+    }
+
+    function evaluate(avgMs){
+        if (isPinned() || performance.now() < cooldownUntil) return;
+        const handsMs = mediaCamera.getLatency();
+        if (avgMs > SLOW_FRAME_MS || handsMs > SLOW_HANDS_MS) {
+            fastWindows = 0;
+            if (++slowWindows >= SLOW_WINDOWS && tierIndex > 0) {
+                slowWindows = 0;
+                apply(tierIndex - 1);
+                console.log('Quality lowered to', TIERS[tierIndex].name, `(${avgMs.toFixed(1)} ms/frame, hands ${handsMs.toFixed(0)} ms)`);
+            }
+        } else if (avgMs < FAST_FRAME_MS && handsMs < FAST_HANDS_MS) {
+            slowWindows = 0;
+            if (++fastWindows >= FAST_WINDOWS && tierIndex < TIERS.length - 1) {
+                fastWindows = 0;
+                apply(tierIndex + 1);
+                console.log('Quality raised to', TIERS[tierIndex].name, `(${avgMs.toFixed(1)} ms/frame)`);
+            }
+        } else {
+            slowWindows = 0;
+            fastWindows = 0;
+        }
+    }
+
+    function updateReadout(){
+        if (!readout) return;
+        readout.style.display = showReadout ? 'block' : 'none';
+        if (!showReadout) return;
+        const tier = TIERS[tierIndex];
+        const fps = frameMs > 0 ? 1000 / frameMs : 0;
+        const handsMs = mediaCamera.getLatency();
+        readout.textContent =
+            `quality ${tier.name}${isPinned() ? ' (pinned)' : ' (auto)'}\n` +
+            `${fps.toFixed(0)} fps · ${frameMs.toFixed(1)} ms\n` +
+            `hands ${mediaCamera.isRunning() ? handsMs.toFixed(0) + ' ms @ ' + tier.cameraFps + ' fps' : 'off'}\n` +
+            `particles ${mainParticleCount} · pixel ratio ${renderer.getPixelRatio()} · bloom ×${tier.bloomScale}`;
+    }
+
+    // Called once per rendered frame with the frame delta in seconds
+    function frame(delta){
+        // Long gaps (tab in background, debugger) say nothing about rendering cost
+        const ms = delta * 1000;
+        if (ms > 250) { resetWindow(); return; }
+        frameMs = frameMs ? frameMs * 0.95 + ms * 0.05 : ms;
+        windowMs += ms;
+        windowFrames++;
+        if (windowMs >= WINDOW_MS) {
+            const avg = windowMs / windowFrames;
+            resetWindow();
+            evaluate(avg);
+        }
+        readoutMs += ms;
+        if (readoutMs >= 500) { readoutMs = 0; updateReadout(); }
+    }
+
+    // Pin a tier by name, or pass 'auto' to hand control back to the governor
+    function setTier(name){
+        const index = findTier(name);
+        if (name !== 'auto' && index < 0) throw new Error(`Unknown quality tier "${name}"`);
+        CONFIG.qualityTier = name;
+        slowWindows = fastWindows = 0;
+        if (index >= 0) apply(index);
+        else updateReadout();
+    }
+
+    function setDebugVisible(visible){
+        showReadout = !!visible;
+        updateReadout();
+    }
+
+    document.addEventListener('visibilitychange', resetWindow);
+    window.addEventListener('keydown', (e)=>{
+        if (e.code !== 'KeyD' || e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        setDebugVisible(!showReadout);
+    });
+
+    // Start pinned, or one step below high on phones and tablets
+    const pinnedIndex = findTier(CONFIG.qualityTier);
+    apply(pinnedIndex >= 0 ? pinnedIndex : (isMobileDevice() ? 1 : 2));
+
+    return {
+        frame,
+        applyRenderSize,
+        setTier,
+        setDebugVisible,
+        refresh: () => apply(tierIndex),    // re-apply after CONFIG.particleCount changes
+        getTier: () => TIERS[tierIndex].name,
+        tiers: () => TIERS.map(t => t.name),
+        bloomResolution: () => ({ ...bloomSize })
+    };
+})();
+
+/**
+ * VIDEO RECORDER
+ */
+// Records the rendered scene (after bloom) plus the music bus into a WebM
+// with MediaRecorder, then downloads it. Each frame the WebGL canvas is
+// copied right after `composer.render()` into a 2D canvas at the chosen
+// height, so only the scene is captured: the camera preview, debug readout
+// and other DOM overlays never reach the file. V (or "Record") starts and
+// stops; recordings end on their own after CONFIG.recordMaxSeconds.
+const VideoRecorder = (function(){
+    const FPS = 30;
+    const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm'];
+    const button = document.getElementById('record-btn');
+    const resolutionSelect = document.getElementById('record-resolution');
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    let session = null;            // { recorder, chunks, startedAt, audioDest, timer }
+
+    function targetSize(){
+        const src = renderer.domElement;
+        const height = resolutionSelect && resolutionSelect.value !== '' ? parseInt(resolutionSelect.value, 10) || 0 : CONFIG.recordHeight;
+        if (!height) return { width: src.width - (src.width % 2), height: src.height - (src.height % 2) };
+        return { width: Math.round(height * src.width / src.height / 2) * 2, height };
+    }
+
+    function supportedMime(){
+        if (typeof MediaRecorder === 'undefined') return null;
+        return MIME_TYPES.find(t => MediaRecorder.isTypeSupported(t)) || '';
+    }
+
+    function setButton(text){
+        if (button) button.textContent = text;
+    }
+
+    // Tap the music bus when there is one; file: pages record silently
+    function audioTracks(){
+        if (!window.__ac || !window.__musicBus || typeof window.__ac.createMediaStreamDestination !== 'function') return { tracks: [], dest: null };
+        const dest = window.__ac.createMediaStreamDestination();
+        window.__musicBus.connect(dest);
+        return { tracks: dest.stream.getAudioTracks(), dest };
+    }
+
+    function start(){
+        if (session) return;
+        const mimeType = supportedMime();
+        if (mimeType === null) { console.warn('Recording is not supported in this browser (no MediaRecorder)'); return; }
+        const size = targetSize();
+        canvas.width = size.width;
+        canvas.height = size.height;
+        draw();
+        let recorder, audio;
+        try{
+            audio = audioTracks();
+            const stream = canvas.captureStream(FPS);
+            audio.tracks.forEach(track => stream.addTrack(track));
+            recorder = new MediaRecorder(stream, mimeType ? { mimeType, videoBitsPerSecond: 8e6 } : undefined);
+        }catch(err){
+            console.warn('Could not start recording:', err && err.message ? err.message : err);
+            if (audio && audio.dest) window.__musicBus.disconnect(audio.dest);
+            return;
+        }
+        const chunks = [];
+        recorder.ondataavailable = (e) => { if (e.data && e.data.size) chunks.push(e.data); };
+        recorder.onstop = () => finish(chunks, recorder.mimeType || mimeType || 'video/webm');
+        session = { recorder, startedAt: performance.now(), audioDest: audio.dest, timer: null };
+        session.timer = setInterval(tick, 250);
+        recorder.start(1000);
+        if (resolutionSelect) resolutionSelect.disabled = true;
+        tick();
+    }
+
+    function stop(){
+        if (!session) return;
+        clearInterval(session.timer);
+        if (session.audioDest) {
+            try{ window.__musicBus.disconnect(session.audioDest); }catch(e){}
+        }
+        if (session.recorder.state !== 'inactive') session.recorder.stop();
+        session = null;
+        if (resolutionSelect) resolutionSelect.disabled = false;
+        setButton('Record');
+    }
+
+    function finish(chunks, type){
+        if (!chunks.length) { console.warn('Recording produced no data'); return; }
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        downloadBlob(new Blob(chunks, { type: type.split(';')[0] }), 'xmas-tree-' + stamp + '.webm');
+    }
+
+    // Elapsed time on the button, and the duration limit
+    function tick(){
+        if (!session) return;
+        const seconds = (performance.now() - session.startedAt) / 1000;
+        if (seconds >= CONFIG.recordMaxSeconds) { stop(); return; }
+        const left = Math.ceil(CONFIG.recordMaxSeconds - seconds);
+        setButton(`● Stop (${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')})`);
+    }
+
+    function draw(){
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(renderer.domElement, 0, 0, canvas.width, canvas.height);
+    }
+
+    // Called right after composer.render(), while the drawing buffer is still valid
+    function frame(){
+        if (session) draw();
+    }
+
+    if (resolutionSelect) resolutionSelect.value = String(CONFIG.recordHeight);
+    if (button) button.addEventListener('click', () => session ? stop() : start());
+    window.addEventListener('keydown', (e)=>{
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.code === 'KeyV') session ? stop() : start();
+    });
+
+    return {
+        start,
+        stop,
+        frame,
+        isRecording: () => !!session
+    };
+})();
+
+/**
+ * SNAPSHOT EXPORT
+ */
+// Renders one frame offscreen at print / 4K size and saves it as PNG. The
+// scene goes through its own composer at the target size; point sizes follow
+// the target height and the bloom runs at the on-screen bloom resolution, so
+// the glow keeps the proportions seen on screen instead of shrinking to a
+// thin halo. Options (size, transparent background, caption) live in the
+// settings drawer; P, "Snapshot" or pinching with both hands takes one.
+const Snapshot = (function(){
+    const SIZES = { screen: 0, '4k': 3840, print: 3000, poster: 6000 };   // long edge in px; 0 = the canvas
+    const sizeSelect = document.getElementById('snapshot-size');
+    const transparentInput = document.getElementById('snapshot-transparent');
+    const captionInput = document.getElementById('snapshot-caption');
+    const button = document.getElementById('snapshot-btn');
+    let busy = false;
+
+    function outputSize(longEdge){
+        const src = renderer.domElement;
+        const gl = renderer.getContext();
+        const limit = Math.min(renderer.capabilities.maxTextureSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+        const edge = Math.min(longEdge || Math.max(src.width, src.height), limit);
+        const k = edge / Math.max(src.width, src.height);
+        return { width: Math.max(1, Math.round(src.width * k)), height: Math.max(1, Math.round(src.height * k)) };
+    }
+
+    // Offscreen render; returns RGBA rows top-down
+    function renderPixels(width, height){
+        const target = new THREE.WebGLRenderTarget(width, height, { type: THREE.UnsignedByteType });
+        const offscreen = new EffectComposer(renderer, target);
+        offscreen.renderToScreen = false;
+        const bloom = new UnrealBloomPass(new THREE.Vector2(width, height), bloomPass.strength, bloomPass.radius, bloomPass.threshold);
+        offscreen.addPass(new RenderPass(scene, camera));
+        offscreen.addPass(bloom);
+        offscreen.setPixelRatio(1);
+        offscreen.setSize(width, height);
+        const screenBloom = QualityGovernor.bloomResolution();
+        bloom.setSize(screenBloom.width, screenBloom.height);
+
+        const screenHeight = renderer.getDrawingBufferSize(new THREE.Vector2()).y;
+        const pixels = new Uint8Array(width * height * 4);
+        try{
+            setPointScale(height);
+            offscreen.render(0);
+            renderer.readRenderTargetPixels(offscreen.readBuffer, 0, 0, width, height, pixels);
+        }finally{
+            setPointScale(screenHeight);
+            renderer.setRenderTarget(null);
+            bloom.dispose();
+            offscreen.dispose();
+            target.dispose();
+        }
+        // WebGL rows run bottom-up
+        const rowBytes = width * 4;
+        const flipped = new Uint8ClampedArray(pixels.length);
+        for (let y = 0; y < height; y++) {
+            flipped.set(pixels.subarray((height - 1 - y) * rowBytes, (height - y) * rowBytes), y * rowBytes);
+        }
+        return flipped;
+    }
+
+    function drawCaption(ctx, text, width, height){
+        const fontPx = Math.round(height * 0.055);
+        ctx.font = `${fontPx}px Georgia, 'Times New Roman', serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'alphabetic';
+        ctx.shadowColor = 'rgba(255, 111, 174, 0.8)';
+        ctx.shadowBlur = fontPx * 0.4;
+        ctx.fillStyle = '#fff2cc';
+        ctx.fillText(text, width / 2, height - fontPx * 1.2, width * 0.9);
+    }
+
+    /**
+     * Render and download a PNG. `size` is 'screen' | '4k' | 'print' |
+     * 'poster' or a long edge in px; options default to the drawer's fields.
+     * Resolves with the PNG blob.
+     */
+    async function capture({ size, transparent, caption } = {}){
+        if (busy) return null;
+        busy = true;
+        try{
+            const key = size !== undefined ? size : (sizeSelect ? sizeSelect.value : '4k');
+            const longEdge = typeof key === 'number' ? key : (SIZES[key] !== undefined ? SIZES[key] : SIZES['4k']);
+            const clear = transparent !== undefined ? !!transparent : !!(transparentInput && transparentInput.checked);
+            const text = (caption !== undefined ? String(caption) : (captionInput ? captionInput.value : '')).trim();
+
+            const { width, height } = outputSize(longEdge);
+            const frame = new ImageData(renderPixels(width, height), width, height);
+
+            // Composite over the page background unless a transparent PNG was asked for
+            const canvas = document.createElement('canvas');
+            canvas.width = width; canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            const layer = document.createElement('canvas');
+            layer.width = width; layer.height = height;
+            layer.getContext('2d').putImageData(frame, 0, 0);
+            if (!clear) {
+                ctx.fillStyle = getComputedStyle(document.body).backgroundColor || '#000';
+                ctx.fillRect(0, 0, width, height);
+            }
+            ctx.drawImage(layer, 0, 0);
+            if (text) drawCaption(ctx, text, width, height);
+
+            const blob = await new Promise((resolve, reject) => canvas.toBlob(b => b ? resolve(b) : reject(new Error('PNG encoding failed')), 'image/png'));
+            downloadBlob(blob, 'xmas-tree-' + new Date().toISOString().replace(/[:.]/g, '-') + '.png');
+            return blob;
+        }catch(err){
+            console.warn('Snapshot failed:', err && err.message ? err.message : err);
+            return null;
+        }finally{
+            busy = false;
+        }
+    }
+
+    if (button) button.addEventListener('click', () => capture());
+    window.addEventListener('keydown', (e)=>{
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.code === 'KeyP') capture();
+    });
+
+    return { capture, sizes: () => Object.keys(SIZES) };
+})();
+
+/**
+ * SETTINGS DRAWER
+ */
+// Hidden drawer (S key or a tap in the top-left corner) for tuning the look
+// live on the display hardware. Values are validated against CONFIG_SCHEMA
+// and applied immediately; named presets live in localStorage and can be
+// exported/imported as JSON to carry a tuned look to another machine.
+const SettingsPanel = (function(){
+    const STORAGE_KEY = 'xmasTree.presets';
+    const FORMAT = 'xmas-tree-presets';
+    const VERSION = 1;
+    // Slider ranges are narrower than CONFIG_SCHEMA so the useful values are easy
+    // to hit; a slider widens to take in a larger configured value (see syncInput)
+    const FIELDS = [
+        { key: 'color', label: 'Tree color' },
+        { key: 'starColor', label: 'Star color' },
+        { key: 'spiralColor', label: 'Spiral color' },
+        { key: 'particleCount', label: 'Particles', min: 1000, max: 40000, step: 500 },
+        { key: 'spiralCount', label: 'Spiral particles', min: 0, max: 3000, step: 50 },
+        { key: 'particleSize', label: 'Particle size', min: 0.02, max: 0.3, step: 0.005 },
+        { key: 'bloomStrength', label: 'Bloom strength', min: 0, max: 3, step: 0.05 },
+        { key: 'bloomRadius', label: 'Bloom radius', min: 0, max: 1, step: 0.01 },
+        { key: 'bloomThreshold', label: 'Bloom threshold', min: 0, max: 1, step: 0.01 },
+        { key: 'spiralSpeed', label: 'Spiral speed', min: 0, max: 3, step: 0.05 },
+        { key: 'spiralTurns', label: 'Spiral turns', min: 1, max: 12, step: 0.5 },
+        { key: 'lerpSpeed', label: 'Morph speed', min: 0.01, max: 0.3, step: 0.005 },
+        { key: 'audioReactivity', label: 'Music reactivity', min: 0, max: 2, step: 0.05 },
+        { key: 'crossfadeSeconds', label: 'Music crossfade (s)', min: 0, max: 12, step: 0.5 },
+        { key: 'ornamentSize', label: 'Photo ornament size', min: 0.1, max: 1.5, step: 0.05 },
+        { key: 'snowCount', label: 'Snowflakes', min: 0, max: 6000, step: 100 },
+        { key: 'snowSize', label: 'Snowflake size', min: 0.05, max: 0.5, step: 0.01 },
+        { key: 'snowSpeed', label: 'Snow fall speed', min: 0, max: 3, step: 0.05 },
+        { key: 'snowWind', label: 'Hand wind strength', min: 0, max: 3, step: 0.05 },
+        { key: 'lightsSpeed', label: 'String lights speed', min: 0, max: 3, step: 0.05 },
+        { key: 'paintColor', label: 'Light painting color' },
+        { key: 'paintSize', label: 'Light painting size', min: 0.04, max: 0.4, step: 0.01 },
+        { key: 'paintFadeSeconds', label: 'Light painting fade (s, 0 = keep)', min: 0, max: 60, step: 1 },
+        { key: 'videoDimFactor', label: 'Video: background brightness', min: 0, max: 1, step: 0.01 },
+        { key: 'videoParticleDimFactor', label: 'Video: particle brightness', min: 0, max: 1, step: 0.01 },
+        { key: 'videoDisplayOpacity', label: 'Video: opacity', min: 0, max: 1, step: 0.01 }
+    ];
+    const drawer = document.getElementById('settings-drawer');
+    const fieldsEl = document.getElementById('settings-fields');
+    const statusEl = document.getElementById('settings-status');
+    const presetSelect = document.getElementById('preset-select');
+    const presetName = document.getElementById('preset-name');
+    const inputs = new Map();  // key -> { input, output }
+    // Values in effect at startup (after config.json / URL overrides), for Reset
+    const defaults = snapshot();
+    let statusTimer = null;
+
+    function snapshot(){
+        const values = {};
+        FIELDS.forEach(f => { values[f.key] = Array.isArray(CONFIG[f.key]) ? CONFIG[f.key].slice() : CONFIG[f.key]; });
+        return values;
+    }
+
+    const toHexColor = (n) => '#' + n.toString(16).padStart(6, '0');
+    // JSON-friendly form: colors as "#rrggbb" so exported presets stay hand-editable
+    function toJSONValue(key, value){
+        return CONFIG_SCHEMA[key].type === 'color' ? toHexColor(value) : value;
+    }
 
-        for (let i = 0; i < CONFIG.spiralCount; i++) {
-            const pct = i / CONFIG.spiralCount; // 0..1
-            const baseTy = (pct * CONFIG.treeHeight) - (CONFIG.treeHeight / 2);
+    function setStatus(text, autoHideMs = 3000){
+        if (!statusEl) return;
+        statusEl.textContent = text || '';
+        if (statusTimer) { clearTimeout(statusTimer); statusTimer = null; }
+        if (text && autoHideMs) statusTimer = setTimeout(()=>{ statusEl.textContent = ''; }, autoHideMs);
+    }
 
-            let ty;
+    // Push an already-validated value into CONFIG and into whatever was built from it
+    function applySetting(key, value){
+        CONFIG[key] = value;
+        switch (key) {
+            case 'color':
+                recolorMainParticles();
+                break;
+            case 'starColor':
+                recolorMainParticles();
+                starMaterial.uniforms.diffuse.value.set(value);
+                break;
+            case 'spiralColor':
+                spiralMaterial.uniforms.diffuse.value.set(value);
+                break;
+            case 'particleCount':
+                QualityGovernor.refresh();   // the tier decides how many are drawn
+                break;
+            case 'spiralCount':
+                rebuildSpiralParticles();
+                break;
+            case 'snowCount':
+                Snowfall.setCount(value);
+                break;
+            case 'particleSize':
+                ORIGINAL_PARTICLE_SIZE = value;     // animate() applies it (plus the music swell)
+                ORIGINAL_STAR_SIZE = value * 1.8;
+                break;
+            case 'bloomStrength':
+                ORIGINAL_BLOOM_STRENGTH = value;   // animate() eases bloomPass.strength toward it
+                break;
+            case 'bloomRadius':
+                bloomPass.radius = value;
+                break;
+            case 'bloomThreshold':
+                bloomPass.threshold = value;
+                break;
+            // spiral speed/turns, morph speed and the video factors are read every frame
+        }
+        syncInput(key);
+    }
 
-            if (STATE.mode === 'TREE') {
-                let flowOffset = (time * CONFIG.spiralSpeed) % treeHeightSpan;
-                ty = baseTy + flowOffset;
-                if (ty > treeTop) ty -= treeHeightSpan;
+    /**
+     * Validate and apply a `{ key: value }` map (a preset, an import or an API
+     * call). Unknown keys and bad values are skipped; returns their messages.
+     */
+    function applySettings(values){
+        const errors = [];
+        Object.keys(values || {}).forEach(key => {
+            if (!FIELDS.some(f => f.key === key)) { errors.push(`unknown setting "${key}"`); return; }
+            try {
+                const value = parseConfigValue(key, values[key]);
+                if (value !== CONFIG[key]) applySetting(key, value);
+            } catch (err) {
+                errors.push(`${key} ${err.message}`);
+            }
+        });
+        return errors;
+    }
 
-                // compute normalized height (0..1) for angle/radius
-                const normH = (ty + (CONFIG.treeHeight / 2)) / CONFIG.treeHeight;
-                const angle = normH * Math.PI * 2 * CONFIG.spiralTurns + (time * CONFIG.spiralSpeed);
-                const r = (1 - normH) * CONFIG.treeRadius * 1.15 + 0.2;
-                const x = Math.cos(angle) * r;
-                const z = Math.sin(angle) * r;
+    function syncInput(key){
+        const entry = inputs.get(key);
+        if (!entry) return;
+        const value = CONFIG[key];
+        if (CONFIG_SCHEMA[key].type === 'color') {
+            entry.input.value = toHexColor(value);
+        } else {
+            // Stretch the slider to a value set outside its range (config.json, a
+            // preset, a card) rather than clamping it and applying that on release
+            if (value > Number(entry.input.max)) entry.input.max = String(value);
+            if (value < Number(entry.input.min)) entry.input.min = String(value);
+            entry.input.value = String(value);
+        }
+        if (entry.output) entry.output.textContent = String(value);
+    }
 
-                spiralPosAttr.setXYZ(i, x, ty, z);
+    function buildFields(){
+        if (!fieldsEl) return;
+        FIELDS.forEach(field => {
+            const spec = CONFIG_SCHEMA[field.key];
+            const label = document.createElement('label');
+            label.className = 'setting';
+            const caption = document.createElement('span');
+            caption.textContent = field.label;
+            const input = document.createElement('input');
+            let output = null;
+            if (spec.type === 'color') {
+                input.type = 'color';
+                input.addEventListener('input', ()=>applySettings({ [field.key]: input.value }));
             } else {
-                // SCATTER: use precomputed scatter coordinates
-                const sx = spiralScatterCoords[i*3];
-                const sy = spiralScatterCoords[i*3+1];
-                const sz = spiralScatterCoords[i*3+2];
-                spiralPosAttr.setXYZ(i, sx, sy, sz);
+                input.type = 'range';
+                input.min = String(field.min);
+                input.max = String(field.max);
+                input.step = String(field.step);
+                output = document.createElement('output');
+                caption.appendChild(output);
+                // Counts rebuild geometry, so only apply them when the slider is released
+                const applyOn = spec.type === 'int' ? 'change' : 'input';
+                input.addEventListener('input', ()=>{ output.textContent = input.value; });
+                input.addEventListener(applyOn, ()=>applySettings({ [field.key]: input.value }));
             }
+            label.appendChild(caption);
+            label.appendChild(input);
+            fieldsEl.appendChild(label);
+            inputs.set(field.key, { input, output });
+            syncInput(field.key);
+        });
+    }
+
+    // --- Presets ---
+    function readPresets(){
+        try{
+            const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+            return (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : {};
+        }catch(e){ return {}; }
+    }
+
+    function writePresets(presets){
+        try{ localStorage.setItem(STORAGE_KEY, JSON.stringify(presets)); return true; }
+        catch(e){ setStatus('Could not save presets: ' + (e && e.message ? e.message : e)); return false; }
+    }
+
+    function refreshPresetList(selected){
+        if (!presetSelect) return;
+        const names = Object.keys(readPresets()).sort((a, b) => a.localeCompare(b));
+        presetSelect.innerHTML = '';
+        names.forEach(name => {
+            const opt = document.createElement('option');
+            opt.value = opt.textContent = name;
+            presetSelect.appendChild(opt);
+        });
+        if (selected && names.includes(selected)) presetSelect.value = selected;
+    }
+
+    function currentSettings(){
+        const values = {};
+        FIELDS.forEach(f => { values[f.key] = toJSONValue(f.key, CONFIG[f.key]); });
+        return values;
+    }
+
+    function savePreset(name){
+        name = String(name || '').trim();
+        if (!name) { setStatus('Enter a preset name first'); return false; }
+        const presets = readPresets();
+        presets[name] = currentSettings();
+        if (!writePresets(presets)) return false;
+        refreshPresetList(name);
+        setStatus(`Saved "${name}"`);
+        return true;
+    }
+
+    function loadPreset(name){
+        const preset = readPresets()[name];
+        if (!preset) { setStatus(`No preset named "${name}"`); return false; }
+        const errors = applySettings(preset);
+        setStatus(errors.length ? `Loaded "${name}" with problems:\n` + errors.join('\n') : `Loaded "${name}"`, errors.length ? 8000 : 3000);
+        return true;
+    }
+
+    function deletePreset(name){
+        const presets = readPresets();
+        if (!(name in presets)) return false;
+        delete presets[name];
+        writePresets(presets);
+        refreshPresetList();
+        setStatus(`Deleted "${name}"`);
+        return true;
+    }
+
+    function exportPresets(){
+        let presets = readPresets();
+        // Nothing saved yet: export what is on screen so the tuning isn't lost
+        if (!Object.keys(presets).length) presets = { Current: currentSettings() };
+        const file = { format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), presets };
+        downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), 'xmas-tree-presets.json');
+    }
+
+    // Merge presets from an exported file; returns the imported names
+    async function importPresets(file){
+        const json = JSON.parse(await file.text());
+        if (!json || json.format !== FORMAT || !json.presets || typeof json.presets !== 'object') {
+            throw new Error('not an exported presets file');
+        }
+        if (json.version > VERSION) throw new Error(`presets file version ${json.version} is newer than this page supports`);
+        const presets = readPresets();
+        const names = Object.keys(json.presets).filter(name => json.presets[name] && typeof json.presets[name] === 'object');
+        names.forEach(name => { presets[name] = json.presets[name]; });
+        writePresets(presets);
+        refreshPresetList(names[0]);
+        return names;
+    }
+
+    // --- Drawer ---
+    function isOpen(){ return !!drawer && drawer.classList.contains('open'); }
+
+    function toggle(open = !isOpen()){
+        if (!drawer) return;
+        drawer.classList.toggle('open', open);
+        drawer.setAttribute('aria-hidden', open ? 'false' : 'true');
+        if (open) refreshPresetList(presetSelect && presetSelect.value);
+    }
+
+    function bind(id, handler){
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('click', handler);
+    }
+
+    buildFields();
+    refreshPresetList();
+    bind('settings-hotspot', ()=>toggle());
+    bind('preset-save', ()=>savePreset(presetName && presetName.value));
+    bind('preset-load', ()=>{ if (presetSelect && presetSelect.value) loadPreset(presetSelect.value); });
+    bind('preset-delete', ()=>{ if (presetSelect && presetSelect.value) deletePreset(presetSelect.value); });
+    bind('preset-export', exportPresets);
+    bind('preset-import', async ()=>{
+        const file = await pickFile('application/json,.json');
+        try{
+            const names = await importPresets(file);
+            setStatus(names.length ? `Imported ${names.join(', ')}` : 'The file contained no presets');
+        }catch(err){
+            setStatus('Import failed: ' + (err && err.message ? err.message : String(err)), 6000);
         }
+    });
+    bind('settings-reset', ()=>{ applySettings(defaults); setStatus('Restored the startup settings'); });
 
-        spiralPosAttr.needsUpdate = true;
+    if (drawer) {
+        // Keys typed into the drawer must not steer the tree (Space on a button, S in the name field)
+        drawer.addEventListener('keydown', (e)=>{
+            if (e.code === 'Escape') toggle(false);
+            e.stopPropagation();
+        });
     }
+    window.addEventListener('keydown', (e)=>{
+        if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        if (e.code === 'KeyS') toggle();
+        else if (e.code === 'Escape' && isOpen()) toggle(false);
+    });
 
-    // Twinkle the Top Star (particle-based) and optionally scatter apart
-    if (typeof starPoints !== 'undefined' && starPoints) {
-        const twinkle = 0.8 + Math.sin(time * 3) * 0.2;
-        starMaterial.size = ORIGINAL_STAR_SIZE * twinkle;
-        starMaterial.needsUpdate = true;
+    return {
+        toggle,
+        applySettings,
+        savePreset,
+        loadPreset,
+        deletePreset,
+        exportPresets,
+        current: currentSettings,
+        presets: () => Object.keys(readPresets())
+    };
+})();
 
-        // Update star particle positions: lerp between base (assembled star)
-        // and scatter targets when in SCATTER mode
-        const starPosAttr = starGeo.attributes.position;
-        const starLerp = CONFIG.lerpSpeed * 2.0;
-        for (let i = 0; i < STAR_PARTICLE_COUNT; i++) {
-            const cx = starPosAttr.getX(i);
-            const cy = starPosAttr.getY(i);
-            const cz = starPosAttr.getZ(i);
+/**
+ * GREETING CARD BUNDLES
+ */
+// A card is one `.xmascard` file holding everything needed to rebuild the
+// scene on another machine with no server: the drawer settings, the
+// assembled formation and message, and the music, memories and photo
+// ornaments embedded as data: URLs. "Save card" writes one; "Open card" or
+// dropping the file on the page restores it. Sections with entries replace
+// what the page has; media that can't be read (a cross-origin video, or the
+// page's own music and video when it is opened from file:) is left out with
+// a warning.
+//
+// Card format (version 1):
+//   { format: 'xmas-tree-card', version: 1, createdAt, settings: { <FIELDS key>: value },
+//     formation, message, music: [{ name, data }], memories: [{ type, title, data }],
+//     ornaments: [{ name, data }] }
+const CardBundle = (function(){
+    const FORMAT = 'xmas-tree-card';
+    const VERSION = 1;
+    const EXTENSION = '.xmascard';
+    const statusEl = document.getElementById('card-status');
+    const messageInput = document.getElementById('card-message');
+    let statusTimer = null;
+
+    function setStatus(text, autoHideMs = 4000){
+        if (!statusEl) return;
+        statusEl.textContent = text || '';
+        clearTimeout(statusTimer);
+        if (text && autoHideMs) statusTimer = setTimeout(()=>{ statusEl.textContent = ''; }, autoHideMs);
+    }
 
-            let tx = starBasePositions[i * 3];
-            let ty = starBasePositions[i * 3 + 1];
-            let tz = starBasePositions[i * 3 + 2];
+    function blobToDataUrl(blob){
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('could not read file'));
+            reader.readAsDataURL(blob);
+        });
+    }
 
-            if (STATE.mode === 'SCATTER') {
-                tx = starScatterPositions[i * 3];
-                ty = starScatterPositions[i * 3 + 1];
-                tz = starScatterPositions[i * 3 + 2];
+    // Embed each entry's `url`; unreadable ones are skipped and counted
+    async function embed(entries, skipped){
+        const out = [];
+        for (const { url, ...rest } of entries) {
+            try{
+                const res = await fetch(url);
+                if (!res.ok) throw new Error('HTTP ' + res.status);
+                out.push({ ...rest, data: await blobToDataUrl(await res.blob()) });
+            }catch(err){
+                skipped.push(rest.name || rest.title || url);
+                console.warn('Card: left out', url, '-', err && err.message ? err.message : err);
             }
+        }
+        return out;
+    }
 
-            const nx = THREE.MathUtils.lerp(cx, tx, starLerp);
-            const ny = THREE.MathUtils.lerp(cy, ty, starLerp);
-            const nz = THREE.MathUtils.lerp(cz, tz, starLerp);
+    /** Build the card object for the current scene. */
+    async function build(){
+        const skipped = [];
+        const card = {
+            format: FORMAT,
+            version: VERSION,
+            createdAt: new Date().toISOString(),
+            settings: SettingsPanel.current(),
+            formation: STATE.assembledFormation,
+            message: TextFormation.getText(),
+            music: await embed(Playlist.entries(), skipped),
+            memories: await embed(Gallery.entries().map(({ type, title, src }) => ({ type, title, url: src })), skipped),
+            ornaments: await embed(Ornaments.entries(), skipped)
+        };
+        return { card, skipped };
+    }
 
-            starPosAttr.setXYZ(i, nx, ny, nz);
+    async function exportCard(){
+        setStatus('Packing the card...', 0);
+        try{
+            const { card, skipped } = await build();
+            const blob = new Blob([JSON.stringify(card)], { type: 'application/json' });
+            downloadBlob(blob, 'greeting-card-' + card.createdAt.slice(0, 10) + EXTENSION);
+            setStatus(skipped.length ? `Saved without: ${skipped.join(', ')}` : 'Card saved', skipped.length ? 8000 : 4000);
+            return card;
+        }catch(err){
+            setStatus('Could not save the card: ' + (err && err.message ? err.message : String(err)), 6000);
+            return null;
         }
-        starPosAttr.needsUpdate = true;
     }
 
-    // 5. Update Particles
-    const positionsAttr = geometry.attributes.position;
-    
-    for (let i = 0; i < CONFIG.particleCount; i++) {
-        const px = positionsAttr.getX(i);
-        const py = positionsAttr.getY(i);
-        const pz = positionsAttr.getZ(i);
+    function validate(card){
+        if (!card || card.format !== FORMAT) throw new Error('not a greeting card file');
+        if (card.version > VERSION) throw new Error(`card version ${card.version} is newer than this page supports`);
+        return card;
+    }
+
+    const list = (value) => (Array.isArray(value) ? value.filter(e => e && typeof e.data === 'string' && e.data.startsWith('data:')) : []);
+    const toBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+    /**
+     * Restore a card object (or a card File). Returns the list of problems;
+     * the rest of the card is still applied.
+     */
+    async function apply(source){
+        const card = validate(source instanceof Blob ? JSON.parse(await source.text()) : source);
+        const problems = card.settings ? SettingsPanel.applySettings(card.settings) : [];
+
+        const music = list(card.music);
+        if (music.length) {
+            const entries = await Promise.all(music.map(async m => ({ name: String(m.name || 'Track'), blob: await toBlob(m.data) })));
+            Playlist.replace(entries);
+            AudioReactive.attach();
+        }
+        const memories = list(card.memories);
+        if (memories.length) {
+            const items = await Promise.all(memories.map(async m => {
+                const objectUrl = URL.createObjectURL(await toBlob(m.data));
+                return { src: objectUrl, objectUrl, title: m.title, type: m.type };
+            }));
+            Gallery.replace(items);
+        }
+        const ornaments = list(card.ornaments);
+        if (ornaments.length) {
+            const files = await Promise.all(ornaments.map(async o => {
+                const blob = await toBlob(o.data);
+                return new File([blob], String(o.name || 'photo'), { type: blob.type });
+            }));
+            Ornaments.replace(files);
+        }
+
+        const message = typeof card.message === 'string' ? card.message : '';
+        if (messageInput) messageInput.value = message;
+        TextFormation.setText(message);
+        if (typeof card.formation === 'string' && Formations.has(card.formation) && (card.formation !== 'TEXT' || message)) {
+            setFormation(card.formation);
+        }
+        return problems;
+    }
+
+    async function importCard(file){
+        setStatus('Opening the card...', 0);
+        try{
+            const problems = await apply(file);
+            setStatus(problems.length ? 'Card opened with problems:\n' + problems.join('\n') : 'Card opened', problems.length ? 8000 : 4000);
+        }catch(err){
+            setStatus('Could not open the card: ' + (err && err.message ? err.message : String(err)), 6000);
+        }
+    }
+
+    function bind(id, handler){
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('click', handler);
+    }
+    bind('card-export', exportCard);
+    bind('card-import', async ()=>importCard(await pickFile(EXTENSION + ',application/json')));
+    if (messageInput) {
+        messageInput.value = TextFormation.getText();
+        messageInput.addEventListener('change', ()=>{
+            if (TextFormation.setText(messageInput.value)) setFormation('TEXT');
+        });
+    }
+    // Dropping a card file opens it (other files go to the music / memories handlers)
+    FileDrop.register((file) => file.name.toLowerCase().endsWith(EXTENSION), (files) => importCard(files[0]));
+
+    return { build, exportCard, apply };
+})();
+
+/**
+ * MULTI-SCREEN SYNC
+ */
+// Keeps several pages showing the same tree: one leader page (`?sync=leader`)
+// broadcasts its mode, rotation, memory playback and music position, and
+// follower pages (`?sync=follower`) copy it. Pages in the same
+// CONFIG.syncRoom talk over a BroadcastChannel (tabs on one machine) and,
+// with CONFIG.syncUrl set, over a WebSocket relay for other devices (see
+// relay-server.js). Followers don't request the camera; the leader drives.
+//
+// The leader sends a full snapshot ten times a second and at once when
+// something discrete changes, so a follower that joins late (or missed
+// messages) catches up from the next one; a new follower also says hello
+// to get one immediately. Followers estimate the leader's clock from
+// ping / pong round trips (keeping the fastest recent sample), project each
+// snapshot forward to "now", then ease the rotation toward it and nudge
+// media playback rates (or seek, when far off) to absorb drift.
+//
+// Messages (JSON): { type: 'state' | 'hello' | 'ping' | 'pong', from, ... }
+const Sync = (function(){
+    const SEND_INTERVAL_MS = 100;
+    const PING_INTERVAL_MS = 2000;
+    const PING_SAMPLES = 8;            // round trips kept for the clock offset
+    const LEADER_TIMEOUT_MS = 3000;    // follow another leader after this much silence
+    const ROTATION_SNAP = 0.6;         // radians off: jump instead of easing
+    const MEDIA_SEEK_S = 0.5;          // drift beyond this seeks...
+    const MEDIA_RATE_S = 0.04;         // ...beyond this adjusts playbackRate...
+    const MEDIA_MAX_RATE = 0.05;       // ...by at most this much
+    const RECONNECT_MAX_MS = 15000;
+    const PLAY_RETRY_MS = 1000;        // autoplay may be blocked until someone clicks the page
+
+    const role = CONFIG.syncRole;
+    const id = Math.random().toString(36).slice(2, 10);
+    const now = () => performance.timeOrigin + performance.now();
+    const transports = [];
+    let seq = 0;
+    let lastSentAt = 0;
+    let lastSignature = '';
+    let lastRotation = null;
+    let rotationSpeed = 0;             // rad/s, measured on the leader
+    let leader = null;                 // followed leader { id, seq, heardAt }
+    let latest = null;                 // last snapshot { sentAt, state }
+    let followRotation = null;
+    const pings = [];                  // { rtt, offset }
+    let offset = 0;                    // leader clock - local clock (ms)
+    const playTriedAt = new WeakMap(); // media element -> last play() attempt
+
+    function send(message){
+        const text = JSON.stringify(Object.assign({ from: id }, message));
+        transports.forEach(t => { try{ t.send(text); }catch(e){ /* a closed transport reconnects on its own */ } });
+    }
+
+    function receive(text){
+        let msg;
+        try{ msg = JSON.parse(text); }catch(e){ return; }
+        if (!msg || msg.from === id) return;
+        if (role === 'leader') {
+            if (msg.type === 'hello') sendState();
+            else if (msg.type === 'ping') send({ type: 'pong', to: msg.from, t0: msg.t0, t1: now() });
+            return;
+        }
+        // Only the followed leader's clock counts; another leader in the room answers pings too
+        if (msg.type === 'pong' && msg.to === id) { if (leader && msg.from === leader.id) addPing(msg); }
+        else if (msg.type === 'state') followState(msg);
+    }
+
+    // Same-machine tabs
+    function channelTransport(){
+        if (typeof BroadcastChannel === 'undefined') return null;
+        const channel = new BroadcastChannel('xmas-tree-sync:' + CONFIG.syncRoom);
+        channel.onmessage = (e) => receive(e.data);
+        return { send: (text) => channel.postMessage(text) };
+    }
+
+    // Other devices, through the relay; reconnects with backoff
+    function socketTransport(){
+        let socket = null;
+        let retryMs = 1000;
+        function connect(){
+            let url;
+            try{
+                url = new URL(CONFIG.syncUrl, window.location.href);
+                url.searchParams.set('room', CONFIG.syncRoom);
+                url.searchParams.set('token', CONFIG.syncToken);
+            }catch(err){ console.warn('Sync: bad syncUrl', CONFIG.syncUrl); return; }
+            socket = new WebSocket(url.href);
+            socket.onopen = () => { retryMs = 1000; if (role === 'follower') hello(); };
+            socket.onmessage = (e) => receive(e.data);
+            socket.onclose = () => {
+                socket = null;
+                setTimeout(connect, retryMs);
+                retryMs = Math.min(RECONNECT_MAX_MS, retryMs * 2);
+            };
+            socket.onerror = () => console.warn('Sync: relay connection failed (is syncToken right?)', CONFIG.syncUrl);
+        }
+        connect();
+        return { send: (text) => { if (socket && socket.readyState === WebSocket.OPEN) socket.send(text); } };
+    }
+
+    // --- Leader ---
+
+    function snapshot(){
+        const focusedMemory = Gallery.focused();
+        return {
+            mode: STATE.mode,
+            assembledFormation: STATE.assembledFormation,
+            text: TextFormation.getText(),
+            scatterScale: STATE.scatterScale,
+            cameraZoom: STATE.cameraZoom,
+            rotation: particleSystem.rotation.y,
+            rotationSpeed,
+            memory: {
+                index: Gallery.index(),
+                open: Gallery.isOpen(),
+                playing: !!(focusedMemory && focusedMemory.type === 'video' && !videoEl.paused),
+                time: videoEl.currentTime || 0
+            },
+            music: {
+                track: Playlist.current(),
+                index: Playlist.tracks().indexOf(Playlist.current()),
+                playing: !!audioEl && !audioEl.paused,
+                time: audioEl ? audioEl.currentTime || 0 : 0
+            }
+        };
+    }
+
+    function sendState(){
+        lastSentAt = now();
+        send({ type: 'state', seq: ++seq, sentAt: lastSentAt, state: snapshot() });
+    }
+
+    function lead(delta){
+        if (lastRotation !== null && delta > 0) {
+            rotationSpeed += ((particleSystem.rotation.y - lastRotation) / delta - rotationSpeed) * Math.min(1, delta * 4);
+        }
+        lastRotation = particleSystem.rotation.y;
+        // Discrete changes go out at once; the rest at the regular rate
+        const s = snapshot();
+        const signature = [s.mode, s.assembledFormation, s.text, s.memory.index, s.memory.open, s.memory.playing, s.music.track, s.music.playing].join('|');
+        if (signature !== lastSignature || now() - lastSentAt >= SEND_INTERVAL_MS) {
+            lastSignature = signature;
+            sendState();
+        }
+    }
 
-        let tx, ty, tz;
+    // --- Follower ---
 
-        if (STATE.mode === 'TREE') {
-            tx = treePositions[i * 3];
-            ty = treePositions[i * 3 + 1];
-            tz = treePositions[i * 3 + 2];
+    function hello(){
+        send({ type: 'hello' });
+    }
+
+    function ping(){
+        send({ type: 'ping', t0: now() });
+    }
+
+    function addPing({ t0, t1 }){
+        const rtt = now() - t0;
+        if (!(rtt >= 0)) return;
+        pings.push({ rtt, offset: t1 - (t0 + rtt / 2) });
+        if (pings.length > PING_SAMPLES) pings.shift();
+        // The fastest round trip has the least asymmetric delay in it
+        offset = pings.reduce((best, p) => (p.rtt < best.rtt ? p : best)).offset;
+    }
+
+    const leaderNow = () => now() + offset;
+
+    function followState(msg){
+        if (!msg.state) return;
+        const t = performance.now();
+        if (leader && leader.id !== msg.from && t - leader.heardAt < LEADER_TIMEOUT_MS) return;
+        if (!leader || leader.id !== msg.from) {
+            console.info('Sync: following leader', msg.from);
+            leader = { id: msg.from, seq: 0, heardAt: t };
+            pings.length = 0;
+            ping();
+        }
+        if (msg.seq <= leader.seq) return;     // duplicate via the other transport, or out of order
+        leader.seq = msg.seq;
+        leader.heardAt = t;
+        latest = { sentAt: msg.sentAt, state: msg.state };
+        applyState(msg.state, msg.sentAt);
+    }
+
+    function applyState(s, sentAt){
+        // The leader's message first, so its TEXT formation exists; formations
+        // this page doesn't have are ignored (as when opening a card)
+        if (typeof s.text === 'string' && s.text !== TextFormation.getText()) TextFormation.setText(s.text);
+        if (typeof s.assembledFormation === 'string' && Formations.has(s.assembledFormation) && s.assembledFormation !== STATE.assembledFormation) {
+            setFormation(s.assembledFormation);
+        }
+        if (typeof s.mode === 'string' && Formations.has(s.mode) && s.mode !== STATE.mode) setFormation(s.mode);
+        if (Number.isFinite(s.scatterScale)) STATE.scatterScale = s.scatterScale;
+        if (Number.isFinite(s.cameraZoom)) STATE.cameraZoom = s.cameraZoom;
+
+        const m = s.memory;
+        if (m && Gallery.count()) {
+            if (m.index !== Gallery.index()) Gallery.show(m.index);
+            if (m.open !== Gallery.isOpen()) { if (m.open) Gallery.open(); else Gallery.close(); }
+            const focusedMemory = Gallery.focused();
+            if (focusedMemory && focusedMemory.type === 'video') syncMedia(videoEl, m.playing, m.time, sentAt, () => {
+                videoEl.muted = !userInteracted;
+                return videoEl.play();
+            });
+        }
+
+        const music = s.music;
+        if (music && audioEl) {
+            const names = Playlist.tracks();
+            const index = names.includes(music.track) ? names.indexOf(music.track) : music.index;
+            if (music.track && Playlist.current() !== music.track && index >= 0 && index < names.length) Playlist.play(index);
+            syncMedia(audioEl, music.playing, music.time, sentAt, () => Playlist.resume(), () => Playlist.pause());
+        }
+    }
+
+    // Match play / pause, then steer `el` toward the leader's position projected to now
+    function syncMedia(el, playing, time, sentAt, play, pause = () => el.pause()){
+        if (!playing) {
+            if (!el.paused) pause();
+            el.playbackRate = 1;
+            return;
+        }
+        if (el.paused) {
+            if (performance.now() - (playTriedAt.get(el) || -Infinity) < PLAY_RETRY_MS) return;
+            playTriedAt.set(el, performance.now());
+            const p = play();
+            if (p && p.catch) p.catch(() => {});
+            return;
+        }
+        if (el.seeking || !Number.isFinite(time)) return;
+        let expected = time + Math.max(0, leaderNow() - sentAt) / 1000;
+        if (el.loop && Number.isFinite(el.duration) && el.duration > 0) expected %= el.duration;
+        const drift = el.currentTime - expected;      // + = this screen is ahead
+        if (Math.abs(drift) > MEDIA_SEEK_S) {
+            el.currentTime = expected;
+            el.playbackRate = 1;
+        } else if (Math.abs(drift) > MEDIA_RATE_S) {
+            el.playbackRate = 1 - THREE.MathUtils.clamp(drift * 0.5, -MEDIA_MAX_RATE, MEDIA_MAX_RATE);
         } else {
-            // SCATTER
-            tx = scatterPositions[i * 3];
-            ty = scatterPositions[i * 3 + 1];
-            tz = scatterPositions[i * 3 + 2];
-            
-            // Add subtle floating noise in scatter mode
-            ty += Math.sin(time + tx) * 0.005;
+            el.playbackRate = 1;
         }
+    }
 
-        // Lerp current position to target
-        const nx = THREE.MathUtils.lerp(px, tx, CONFIG.lerpSpeed);
-        const ny = THREE.MathUtils.lerp(py, ty, CONFIG.lerpSpeed);
-        const nz = THREE.MathUtils.lerp(pz, tz, CONFIG.lerpSpeed);
+    // Replace the local rotation with the leader's, extrapolated and eased
+    function follow(delta){
+        if (!latest || !Number.isFinite(latest.state.rotation)) return;
+        const s = latest.state;
+        const target = s.rotation + (s.rotationSpeed || 0) * Math.max(0, leaderNow() - latest.sentAt) / 1000;
+        if (followRotation === null || Math.abs(target - followRotation) > ROTATION_SNAP) followRotation = target;
+        else followRotation += (s.rotationSpeed || 0) * delta + (target - followRotation) * Math.min(1, delta * 4);
+        particleSystem.rotation.y = followRotation;
+    }
 
-        positionsAttr.setXYZ(i, nx, ny, nz);
+    /** Per frame, after the local rotation: the leader measures and sends, followers take over rotation. */
+    function update(delta){
+        if (role === 'leader') lead(delta);
+        else if (role === 'follower') follow(delta);
     }
 
-    positionsAttr.needsUpdate = true;
+    if (role !== 'off') {
+        [channelTransport(), CONFIG.syncUrl ? socketTransport() : null].forEach(t => { if (t) transports.push(t); });
+        if (role === 'follower') {
+            hello();
+            setInterval(ping, PING_INTERVAL_MS);
+        }
+        console.info(`Sync: ${role} in room "${CONFIG.syncRoom}"` + (CONFIG.syncUrl ? ` via ${CONFIG.syncUrl}` : ''));
+    }
 
-    // Render
-    composer.render();
-}
+    return {
+        update,
+        role: () => role,
+        isFollower: () => role === 'follower',
+        // Follower view of the link: which leader, how stale, clock offset and best round trip (ms)
+        status: () => ({
+            role,
+            room: CONFIG.syncRoom,
+            leader: leader ? leader.id : null,
+            ageMs: leader ? Math.round(performance.now() - leader.heardAt) : null,
+            offsetMs: Math.round(offset),
+            rttMs: pings.length ? Math.round(Math.min(...pings.map(p => p.rtt))) : null
+        })
+    };
+})();
 
 // Handle Window Resize
 window.addEventListener('resize', () => {
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    composer.setSize(window.innerWidth, window.innerHeight);
+    QualityGovernor.applyRenderSize();
 });
 
+// Public API for embedding pages and the devtools console: `window.XmasTree`
+const XmasTreeAPI = {
+    setFormation,
+    nextFormation,
+    registerFormation: Formations.register,
+    // Morph into a particle message; an empty string removes it and returns false
+    showText(text){
+        if (!TextFormation.setText(text)) return false;
+        setFormation('TEXT');
+        return true;
+    },
+    formations(){ return Formations.list(); },
+    getMode(){ return STATE.mode; },
+    // 'low' | 'medium' | 'high' | 'ultra' pins a quality tier, 'auto' adapts to the frame rate
+    setQuality: QualityGovernor.setTier,
+    getQuality: QualityGovernor.getTier,
+    // Live-apply `{ key: value }` settings (same names as CONFIG); returns problems found
+    applySettings: SettingsPanel.applySettings,
+    // Hang image File objects on the tree as photo ornaments; returns how many were added
+    addOrnaments: Ornaments.addFiles,
+    // WebM recording of the scene plus music; stopping downloads the file
+    startRecording: VideoRecorder.start,
+    stopRecording: VideoRecorder.stop,
+    isRecording: VideoRecorder.isRecording,
+    // High-resolution PNG: { size: 'screen' | '4k' | 'print' | 'poster' | <long edge px>, transparent, caption }
+    snapshot: Snapshot.capture,
+    // String lights: 'off' | 'chase' | 'twinkle' | 'alternate' | 'rainbow' | 'music'
+    setLights: Lights.setPattern,
+    getLights: Lights.pattern,
+    // Launch firework shells from the tree top (default 3)
+    fireworks: Fireworks.launch,
+    // Light painting: on/off, clear, save (downloads and returns the JSON) and replay (object, File or URL)
+    setPainting: LightPainting.setEnabled,
+    clearPainting: LightPainting.clear,
+    savePainting: LightPainting.save,
+    replayPainting: LightPainting.replay,
+    // Camera: 'static' | 'orbit' | 'hand' | 'cinematic'; playCameraPath() flies a named path
+    setCameraMode: CameraRig.setMode,
+    getCameraMode: CameraRig.mode,
+    playCameraPath: CameraRig.play,
+    registerCameraPath: CameraRig.registerPath,
+    // Hand cursor targets: registerPickTarget(name, { pick(raycaster, ndc), select(ref, hit), hover(ref), pointOnly })
+    registerPickTarget: Picker.register,
+    // Multi-screen sync link: { role, room, leader, ageMs, offsetMs, rttMs }
+    syncStatus: Sync.status,
+    // Greeting cards: save the scene to a .xmascard file, or restore one (a card object or File)
+    saveCard: CardBundle.exportCard,
+    openCard: CardBundle.apply
+};
+window.XmasTree = XmasTreeAPI;
+
 // Start Animation
 animate();
\ No newline at end of file
@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * MULTI-SCREEN SYNC RELAY
+ */
+// Reference WebSocket relay for the Sync module in main.js: every text
+// message a page sends is forwarded to the other pages in the same room
+// (`?room=` on the connection URL). It keeps no state of its own; late
+// joiners are caught up by the leader page. No dependencies beyond Node.
+//
+//   node relay-server.js [port]        (or PORT=8787 node relay-server.js)
+//
+// Pages must present the relay's token (`?token=`, from the pages' own
+// `syncToken` setting), so other web pages open on the same network can't
+// drive the followers. Set it with RELAY_TOKEN, or use the random one
+// printed at startup; RELAY_ORIGINS (comma-separated, e.g.
+// `http://192.168.1.20:8080`) additionally limits which page origins may
+// connect. Then open the pages with
+// `?sync=leader&syncUrl=ws://<this machine>:8787&syncToken=<token>` and
+// `?sync=follower&syncUrl=ws://<this machine>:8787&syncToken=<token>`.
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const TOKEN = process.env.RELAY_TOKEN || crypto.randomBytes(12).toString('base64url');
+const ORIGINS = (process.env.RELAY_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+const MAX_MESSAGE = 1024 * 1024;       // bytes; sync snapshots are well under 1 KB
+const HEARTBEAT_MS = 30000;            // ping every client; drop the ones that never answered
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const rooms = new Map();               // room name -> Set of clients
+
+// One unmasked server frame
+function encodeFrame(opcode, payload = Buffer.alloc(0)){
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode; header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode; header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Next complete frame at the start of `buffer`: { fin, opcode, payload, size }, or null to wait for more
+function decodeFrame(buffer){
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        const big = buffer.readBigUInt64BE(2);
+        if (big > BigInt(MAX_MESSAGE)) throw new Error('message too large');
+        length = Number(big);
+        offset = 10;
+    }
+    if (length > MAX_MESSAGE) throw new Error('message too large');
+    if (!masked) throw new Error('client frames must be masked');
+    if (buffer.length < offset + 4 + length) return null;
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    return { fin, opcode, payload, size: offset + 4 + length };
+}
+
+function join(client){
+    if (!rooms.has(client.room)) rooms.set(client.room, new Set());
+    rooms.get(client.room).add(client);
+}
+
+function leave(client){
+    const room = rooms.get(client.room);
+    if (!room || !room.delete(client)) return;
+    if (!room.size) rooms.delete(client.room);
+    console.log(`- ${client.address} left "${client.room}" (${room.size} left)`);
+}
+
+function relay(from, text){
+    const room = rooms.get(from.room);
+    if (!room) return;
+    const frame = encodeFrame(0x1, Buffer.from(text, 'utf8'));
+    room.forEach(client => { if (client !== from && !client.socket.destroyed) client.socket.write(frame); });
+}
+
+function close(client, code, reason = ''){
+    if (client.closing) return;
+    client.closing = true;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    try{ client.socket.end(encodeFrame(0x8, payload)); }catch(e){ client.socket.destroy(); }
+    leave(client);
+}
+
+function onData(client, chunk){
+    client.buffer = Buffer.concat([client.buffer, chunk]);
+    for (;;) {
+        let frame;
+        try{ frame = decodeFrame(client.buffer); }
+        catch(err){ close(client, 1009, err.message); return; }
+        if (!frame) return;
+        client.buffer = client.buffer.subarray(frame.size);
+        switch (frame.opcode) {
+            case 0x1:                  // text
+                if (!frame.fin) { close(client, 1003, 'fragmented messages are not supported'); return; }
+                relay(client, frame.payload.toString('utf8'));
+                break;
+            case 0x8:                  // close
+                close(client, 1000);
+                return;
+            case 0x9:                  // ping
+                client.socket.write(encodeFrame(0xA, frame.payload));
+                break;
+            case 0xA:                  // pong
+                client.alive = true;
+                break;
+            default:                   // binary / continuation
+                close(client, 1003, 'only text messages are relayed');
+                return;
+        }
+    }
+}
+
+const server = http.createServer((req, res) => {
+    let clients = 0;
+    rooms.forEach(room => { clients += room.size; });
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8', 'Access-Control-Allow-Origin': '*' });
+    res.end(`Christmas tree sync relay: ${clients} page(s) in ${rooms.size} room(s)\n`);
+});
+
+// Constant-time token comparison (hashing first evens out the lengths)
+function tokenMatches(candidate){
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(candidate), digest(TOKEN));
+}
+
+function reject(socket, status){
+    socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+server.on('upgrade', (req, socket) => {
+    socket.on('error', () => socket.destroy());
+    const key = req.headers['sec-websocket-key'];
+    if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+        reject(socket, '400 Bad Request');
+        return;
+    }
+    let url;
+    try{ url = new URL(req.url, 'http://relay'); }
+    catch(err){ reject(socket, '400 Bad Request'); return; }
+    if (ORIGINS.length && !ORIGINS.includes(req.headers.origin)) {
+        console.log(`! refused origin ${req.headers.origin || '(none)'} from ${socket.remoteAddress}`);
+        reject(socket, '403 Forbidden');
+        return;
+    }
+    if (!tokenMatches(url.searchParams.get('token') || '')) {
+        console.log(`! refused ${socket.remoteAddress}: missing or wrong token`);
+        reject(socket, '401 Unauthorized');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\n' +
+        'Connection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+
+    const client = {
+        socket,
+        room: url.searchParams.get('room') || 'default',
+        address: socket.remoteAddress,
+        buffer: Buffer.alloc(0),
+        alive: true,
+        closing: false
+    };
+    join(client);
+    console.log(`+ ${client.address} joined "${client.room}" (${rooms.get(client.room).size} in room)`);
+
+    socket.on('data', chunk => onData(client, chunk));
+    socket.on('close', () => leave(client));
+    socket.on('error', () => leave(client));
+});
+
+// Clients that missed the last ping are gone (sleeping laptops, pulled cables)
+setInterval(() => {
+    rooms.forEach(room => room.forEach(client => {
+        if (!client.alive) { client.socket.destroy(); leave(client); return; }
+        client.alive = false;
+        client.socket.write(encodeFrame(0x9));
+    }));
+}, HEARTBEAT_MS).unref();
+
+server.listen(PORT, () => {
+    console.log(`Sync relay listening on ws://0.0.0.0:${PORT} (rooms via ?room=)`);
+    console.log(`Token: ${TOKEN}` + (process.env.RELAY_TOKEN ? ' (from RELAY_TOKEN)' : ' (random; set RELAY_TOKEN to keep one)'));
+    if (ORIGINS.length) console.log(`Allowed page origins: ${ORIGINS.join(', ')}`);
+});